@@ -303,6 +303,12 @@ const getAvailablePort = async (port) => {
 const startServer = async () => {
     try {
         await connectDB();
+
+        // Update data stored by earlier versions before serving requests
+        await require('./utils/migrations').runMigrations();
+
+        // Close check-ins and settle matches once their deadlines pass
+        require('./utils/deadlines').startDeadlineJob();
         
         const DEFAULT_PORT = 10000;
         const port = process.env.PORT || DEFAULT_PORT;
@@ -365,6 +371,8 @@ app.use('/api/user', require('./routes/userTournaments'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/matches', require('./routes/matches'));
 app.use('/api/players', require('./routes/players'));
+app.use('/api/teams', require('./routes/teams'));
+app.use('/api/seasons', require('./routes/seasons'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/payments', require('./routes/payments'));
 app.use('/api/activity', require('./routes/activity'));
@@ -1,8 +1,7 @@
 const Match = require('../models/Match');
 const Tournament = require('../models/Tournament');
-const User = require('../models/Users');
-const Leaderboard = require('../models/Leaderboard');
 const { generateFixtures, updateTournamentLeaderboard } = require('../utils/fixtureGenerator');
+const { verifyMatchResult } = require('../utils/results');
 
 class MatchController {
     // Get user's matches
@@ -110,11 +109,10 @@ class MatchController {
         }
     }
 
-    // Verify match result (Admin)
+    // Verify match result, counting it in the stats exactly once (Admin)
     static async verifyResult(req, res) {
         try {
-            const match = await Match.findById(req.params.id)
-                .populate('tournament');
+            const { match, changed } = await verifyMatchResult(req.params.id, req.user.id);
             
             if (!match) {
                 return res.status(404).json({
@@ -123,34 +121,12 @@ class MatchController {
                 });
             }
 
-            // If this is a tournament match, verify the result through the tournament
-            if (match.tournament) {
-                const tournament = await Tournament.findById(match.tournament._id);
-                await tournament.updateLeaderboard();
-                
-                // If this is a knockout match and it's completed, generate next round
-                if ((tournament.format === 'knockout' || tournament.format === 'group+knockout') && 
-                    match.status === 'completed') {
-                    await tournament.generateNextKnockoutRound();
-                }
-            }
-
-            // Update the match status and result
-            await match.verifyResult(req.user.id);
-            
-            // Update player stats and leaderboard
-            await this.updatePlayerStats(match);
-            
-            // Update tournament leaderboard if this is a tournament match
-            if (match.tournament) {
-                await updateTournamentLeaderboard(match.tournament._id);
-            }
-
             await match.populate('player1.user player2.user', 'efootballId profile');
 
             res.json({
                 success: true,
-                message: 'Match result verified successfully',
+                message: changed ? 'Match result verified successfully' : 'Match result was already verified',
+                changed,
                 match
             });
 
@@ -158,113 +134,12 @@ class MatchController {
             console.error('Verify match error:', error);
             res.status(500).json({
                 success: false,
-                message: 'Failed to verify match result',
+                message: error.message || 'Failed to verify match result',
                 error: error.message
             });
         }
     }
 
-    // Update player stats after match
-    static async updatePlayerStats(match) {
-        try {
-            if (match.status !== 'completed' || !match.result) return;
-
-            const { player1, player2, result } = match;
-            
-            // Update player 1 stats
-            if (player1.user) {
-                const user = await User.findById(player1.user._id);
-                if (user) {
-                    user.stats.matchesPlayed++;
-                    
-                    if (result.isDraw) {
-                        user.stats.draws++;
-                    } else if (result.winner && result.winner.equals(user._id)) {
-                        user.stats.wins++;
-                    } else {
-                        user.stats.losses++;
-                    }
-                    
-                    // Update goals
-                    user.stats.goalsFor += player1.score || 0;
-                    user.stats.goalsAgainst += player2.score || 0;
-                    
-                    // Update points based on result
-                    if (result.isDraw) {
-                        user.stats.points += 1;
-                    } else if (result.winner && result.winner.equals(user._id)) {
-                        user.stats.points += 3;
-                    }
-                    
-                    await user.save();
-                }
-            }
-        
-            // Update player 2 stats
-            if (player2.user) {
-                const user = await User.findById(player2.user._id);
-                if (user) {
-                    user.stats.matchesPlayed++;
-                    
-                    if (result.isDraw) {
-                        user.stats.draws++;
-                    } else if (result.winner && result.winner.equals(user._id)) {
-                        user.stats.wins++;
-                    } else {
-                        user.stats.losses++;
-                    }
-                    
-                    // Update goals
-                    user.stats.goalsFor += player2.score || 0;
-                    user.stats.goalsAgainst += player1.score || 0;
-                    
-                    // Update points based on result
-                    if (result.isDraw) {
-                        user.stats.points += 1;
-                    } else if (result.winner && result.winner.equals(user._id)) {
-                        user.stats.points += 3;
-                    }
-                    
-                    await user.save();
-                }
-            }
-            
-            // Update global leaderboard
-            if (player1.user) {
-                await Leaderboard.updatePlayerStats(
-                    player1.user._id,
-                    {
-                        goals: player1.score || 0,
-                        isWinner: result.winner && result.winner.equals(player1.user._id),
-                        isDraw: result.isDraw
-                    },
-                    'global'
-                );
-            }
-            
-            if (player2.user) {
-                await Leaderboard.updatePlayerStats(
-                    player2.user._id,
-                    {
-                        goals: player2.score || 0,
-                        isWinner: result.winner && result.winner.equals(player2.user._id),
-                        isDraw: result.isDraw
-                    },
-                    'global'
-                );
-            }
-            
-            // If it's a draw, update both players' stats
-            if (result.isDraw) {
-                await Leaderboard.updatePlayerStats(match.player1.user._id, 'draw');
-                await Leaderboard.updatePlayerStats(match.player2.user._id, 'draw');
-            }
-        } catch (error) {
-            console.error('Update player stats error:', error);
-            throw error;
-        }
-    }
-
     // Reschedule match
     static async rescheduleMatch(req, res) {
         try {
@@ -371,7 +246,9 @@ class MatchController {
                     goalsFor: participant.stats.goalsFor,
                     goalsAgainst: participant.stats.goalsAgainst,
                     goalDifference: participant.stats.goalsFor - participant.stats.goalsAgainst,
-                    points: participant.stats.points
+                    points: participant.stats.points,
+                    buchholz: participant.stats.buchholz,
+                    sonnebornBerger: participant.stats.sonnebornBerger
                 })),
                 tournament: {
                     _id: tournament._id,
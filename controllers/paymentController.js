@@ -38,6 +38,14 @@ class PaymentController {
                 });
             }
 
+            // Qualifiers may have earned a free entry
+            if (tournament.hasFeeWaiver(req.user.id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Your entry fee has been waived - join the tournament directly'
+                });
+            }
+
             // Validate phone number
             const cleanPhone = phoneNumber.replace(/\s/g, '');
             if (!/^(07\d{8}|2547\d{8}|\+2547\d{8})$/.test(cleanPhone)) {
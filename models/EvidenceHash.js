@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Perceptual hash of an evidence image, kept apart from the match so recycled
+// screenshots are found through an index rather than by reading every match
+const evidenceHashSchema = new mongoose.Schema({
+    hash: {
+        type: String,
+        required: true
+    },
+    // Fixed slices of the hash, each prefixed with its position. Hashes close
+    // enough to count as the same image always share at least one band.
+    bands: {
+        type: [String],
+        default: []
+    },
+    match: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Match',
+        required: true
+    },
+    path: String
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+evidenceHashSchema.index({ bands: 1 });
+evidenceHashSchema.index({ match: 1 });
+
+module.exports = mongoose.model('EvidenceHash', evidenceHashSchema);
@@ -52,11 +52,11 @@ const leaderboardSchema = new mongoose.Schema({
     },
     type: {
         type: String,
-        enum: ['global', 'monthly', 'weekly', 'tournament'],
+        enum: ['global', 'monthly', 'weekly', 'tournament', 'ladder', 'season'],
         default: 'global'
     },
     period: {
-        type: String, // e.g., "2024-01" for monthly, "2024-W02" for weekly
+        type: String, // e.g., "2024-01" for monthly, "2024-W02" for weekly, the tournament id for a ladder, the season id for a season
         default: 'global'
     },
     tournament: {
@@ -109,25 +109,26 @@ leaderboardSchema.statics.getPlayerPosition = function(playerId, type = 'global'
         .populate('player', 'efootballId profile stats');
 };
 
-// Static method to update player stats
-leaderboardSchema.statics.updatePlayerStats = async function(playerId, matchResult, type = 'global', period = 'global') {
-    const leaderboard = await this.findOne({ player: playerId, type, period });
+// Static method to update player stats (optionally inside a transaction)
+leaderboardSchema.statics.updatePlayerStats = async function(playerId, matchResult, type = 'global', period = 'global', session = null) {
+    const leaderboard = await this.findOne({ player: playerId, type, period }).session(session);
     
     if (!leaderboard) {
-        // Create new leaderboard entry
+        // Create new leaderboard entry at the bottom; updateRanks moves it into place
         const newLeaderboard = new this({
             player: playerId,
             type,
-            period
+            period,
+            rank: await this.countDocuments({ type, period }).session(session) + 1
         });
-        return this.updateStatsForMatch(newLeaderboard, matchResult);
+        return this.updateStatsForMatch(newLeaderboard, matchResult, session);
     }
     
-    return this.updateStatsForMatch(leaderboard, matchResult);
+    return this.updateStatsForMatch(leaderboard, matchResult, session);
 };
 
 // Helper method to update stats for a match
-leaderboardSchema.statics.updateStatsForMatch = async function(leaderboard, matchResult) {
+leaderboardSchema.statics.updateStatsForMatch = async function(leaderboard, matchResult, session = null) {
     leaderboard.totalMatches += 1;
     
     switch (matchResult) {
@@ -144,16 +145,17 @@ leaderboardSchema.statics.updateStatsForMatch = async function(leaderboard, matc
             break;
     }
     
-    await leaderboard.save();
-    await this.updateRanks(leaderboard.type, leaderboard.period);
+    await leaderboard.save({ session });
+    await this.updateRanks(leaderboard.type, leaderboard.period, session);
     
     return leaderboard;
 };
 
 // Static method to update all ranks for a leaderboard type/period
-leaderboardSchema.statics.updateRanks = async function(type, period) {
+leaderboardSchema.statics.updateRanks = async function(type, period, session = null) {
     const entries = await this.find({ type, period })
-        .sort({ points: -1, wins: -1, winRate: -1 });
+        .sort({ points: -1, wins: -1, winRate: -1 })
+        .session(session);
     
     const bulkOps = entries.map((entry, index) => ({
         updateOne: {
@@ -168,7 +170,7 @@ leaderboardSchema.statics.updateRanks = async function(type, period) {
     }));
     
     if (bulkOps.length > 0) {
-        await this.bulkWrite(bulkOps);
+        await this.bulkWrite(bulkOps, { session });
     }
 };
 
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { RequestError } = require('../utils/errors');
+
+// Goals awarded to the winner of a walkover
+const WALKOVER_SCORE = 3;
 
 const matchSchema = new mongoose.Schema({
     tournament: {
@@ -14,11 +18,35 @@ const matchSchema = new mongoose.Schema({
         type: Number,
         required: true
     },
+    roundNumber: {
+        type: Number
+    },
+    group: {
+        type: String
+    },
+    tie: {
+        id: String, // Shared by both legs of a home-and-away tie
+        leg: {
+            type: Number,
+            enum: [1, 2]
+        }
+    },
+    series: {
+        id: String, // Shared by every game of a best-of-N series
+        game: Number,
+        bestOf: {
+            type: Number,
+            enum: [1, 3, 5]
+        }
+    },
     player1: {
         user: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
-            required: true
+            // Bracket matches wait as 'pending' until their feeder matches are decided
+            required: function() {
+                return this.status !== 'pending' && !this.vacantSlots.includes('player1');
+            }
         },
         score: {
             type: Number,
@@ -26,12 +54,40 @@ const matchSchema = new mongoose.Schema({
         },
         screenshot: {
             type: String,
-            default: null
+            default: null // The first image of the latest submission
         },
+        evidence: [{
+            path: String, // Score screen, match stats, lineups...
+            hash: String, // Perceptual hash, to spot images reused from other matches
+            uploadedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            uploadedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }],
         confirmed: {
             type: Boolean,
             default: false
         },
+        extraTimeScore: {
+            type: Number,
+            default: null
+        },
+        opponentExtraTimeScore: {
+            type: Number, // The opponent's extra-time goals as this player reported them
+            default: null
+        },
+        penalties: {
+            type: Number,
+            default: null
+        },
+        opponentPenalties: {
+            type: Number, // The opponent's shootout score as this player reported it
+            default: null
+        },
         goals: [{
             minute: Number,
             scorer: {
@@ -80,7 +136,9 @@ const matchSchema = new mongoose.Schema({
         user: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
-            required: true
+            required: function() {
+                return this.status !== 'pending' && !this.vacantSlots.includes('player2');
+            }
         },
         score: {
             type: Number,
@@ -88,12 +146,40 @@ const matchSchema = new mongoose.Schema({
         },
         screenshot: {
             type: String,
-            default: null
+            default: null // The first image of the latest submission
         },
+        evidence: [{
+            path: String, // Score screen, match stats, lineups...
+            hash: String, // Perceptual hash, to spot images reused from other matches
+            uploadedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            uploadedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }],
         confirmed: {
             type: Boolean,
             default: false
         },
+        extraTimeScore: {
+            type: Number,
+            default: null
+        },
+        opponentExtraTimeScore: {
+            type: Number, // The opponent's extra-time goals as this player reported them
+            default: null
+        },
+        penalties: {
+            type: Number,
+            default: null
+        },
+        opponentPenalties: {
+            type: Number, // The opponent's shootout score as this player reported it
+            default: null
+        },
         goals: [{
             minute: Number,
             scorer: {
@@ -142,13 +228,54 @@ const matchSchema = new mongoose.Schema({
         type: Date,
         required: true
     },
+    deadline: {
+        type: Date // Round deadline: the match can only be moved up to this time
+    },
     actualStartTime: Date,
     actualEndTime: Date,
     status: {
         type: String,
-        enum: ['scheduled', 'in_progress', 'completed', 'cancelled', 'disputed'],
+        enum: ['pending', 'scheduled', 'in_progress', 'completed', 'cancelled', 'disputed'],
         default: 'scheduled'
     },
+    bracket: {
+        type: String,
+        enum: ['winners', 'losers', 'grand_final', 'grand_final_reset', 'third_place']
+    },
+    vacantSlots: [{
+        type: String,
+        enum: ['player1', 'player2'] // Bracket slots nobody will fill: both players of the feeding match forfeited
+    }],
+    challenge: {
+        challenger: {
+            type: mongoose.Schema.Types.ObjectId, // Ladder challenges: always player1
+            ref: 'User'
+        },
+        respondBy: Date, // Unanswered challenges are forfeited after this
+        acceptedAt: Date
+    },
+    progression: {
+        winnerTo: {
+            match: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Match'
+            },
+            slot: {
+                type: String,
+                enum: ['player1', 'player2']
+            }
+        },
+        loserTo: {
+            match: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Match'
+            },
+            slot: {
+                type: String,
+                enum: ['player1', 'player2']
+            }
+        }
+    },
     result: {
         winner: {
             type: mongoose.Schema.Types.ObjectId,
@@ -176,6 +303,18 @@ const matchSchema = new mongoose.Schema({
             ref: 'User'
         },
         confirmedAt: Date,
+        statsRecorded: {
+            type: Boolean,
+            default: false // Set once the result has been counted in player, team and leaderboard stats
+        },
+        verifiedByAdmin: {
+            type: Boolean,
+            default: false // An admin has signed the result off, rather than it being agreed by the players
+        },
+        progressed: {
+            type: Boolean,
+            default: false // Set once the tournament has moved on from this result
+        },
         stats: {
             possession: {
                 home: Number,
@@ -216,13 +355,36 @@ const matchSchema = new mongoose.Schema({
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User'
         },
+        side: {
+            type: String,
+            enum: ['player1', 'player2']
+        },
         reason: String,
         description: String,
+        evidence: [String],
         status: {
             type: String,
             enum: ['open', 'under_review', 'resolved', 'rejected'],
             default: 'open'
         },
+        response: {
+            respondedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            statement: String,
+            evidence: [String],
+            respondedAt: Date
+        },
+        decision: {
+            type: String,
+            enum: ['final_score', 'replay', 'disqualification']
+        },
+        disqualified: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        replayTime: Date,
         resolvedBy: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User'
@@ -234,6 +396,86 @@ const matchSchema = new mongoose.Schema({
         },
         resolvedAt: Date
     }],
+    reviewFlags: [{
+        reason: {
+            type: String,
+            enum: ['recycled_screenshot']
+        },
+        side: {
+            type: String,
+            enum: ['player1', 'player2']
+        },
+        evidence: String, // The flagged image
+        matchedMatch: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Match'
+        },
+        matchedEvidence: String, // The earlier image it resembles
+        distance: Number,
+        flaggedAt: {
+            type: Date,
+            default: Date.now
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reviewedAt: Date
+    }],
+    corrections: [{
+        action: {
+            type: String,
+            enum: ['corrected', 'voided']
+        },
+        previous: {
+            player1Score: Number,
+            player2Score: Number,
+            player1Penalties: Number,
+            player2Penalties: Number,
+            winner: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            isDraw: Boolean,
+            isWalkover: Boolean
+        },
+        reason: String,
+        correctedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        correctedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    rescheduleRequests: [{
+        proposedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        side: {
+            type: String,
+            enum: ['player1', 'player2']
+        },
+        proposedTimes: [Date],
+        reason: String,
+        status: {
+            type: String,
+            enum: ['pending', 'accepted', 'rejected', 'countered', 'overridden'],
+            default: 'pending'
+        },
+        acceptedTime: Date,
+        respondedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        },
+        respondedAt: Date
+    }],
     adminNotes: String
 }, {
     timestamps: true
@@ -245,6 +487,9 @@ matchSchema.index({ 'player1.user': 1 });
 matchSchema.index({ 'player2.user': 1 });
 matchSchema.index({ status: 1 });
 matchSchema.index({ scheduledTime: 1 });
+matchSchema.index({ 'tie.id': 1 });
+matchSchema.index({ status: 1, deadline: 1 });
+matchSchema.index({ 'disputes.status': 1 });
 
 // Virtual for match display name
 matchSchema.virtual('displayName').get(function() {
@@ -252,22 +497,33 @@ matchSchema.virtual('displayName').get(function() {
 });
 
 // Method to submit score
-matchSchema.methods.submitScore = function(player, score, screenshot = null, goals = []) {
+matchSchema.methods.submitScore = async function(player, score, evidence = [], goals = [], decider = {}) {
     if (this.status === 'completed') {
         throw new Error('Match is already completed');
     }
 
+    // Waiting on a feeder match, or on the opponent accepting a challenge
+    if (this.status === 'pending') {
+        throw new Error('Match is not ready to be played yet');
+    }
+
     if (player === 'player1') {
         this.player1.score = score;
         this.player1.confirmed = true;
-        if (screenshot) this.player1.screenshot = screenshot;
+        if (evidence.length > 0) {
+            this.player1.screenshot = evidence[0].path;
+            this.player1.evidence.push(...evidence);
+        }
         if (goals && goals.length > 0) {
             this.player1.goals = goals;
         }
     } else if (player === 'player2') {
         this.player2.score = score;
         this.player2.confirmed = true;
-        if (screenshot) this.player2.screenshot = screenshot;
+        if (evidence.length > 0) {
+            this.player2.screenshot = evidence[0].path;
+            this.player2.evidence.push(...evidence);
+        }
         if (goals && goals.length > 0) {
             this.player2.goals = goals;
         }
@@ -275,11 +531,32 @@ matchSchema.methods.submitScore = function(player, score, screenshot = null, goa
         throw new Error('Invalid player specified');
     }
 
-    // If both players have submitted scores, auto-verify if they match
-    if (this.player1.confirmed && this.player2.confirmed) {
-        if (this.player1.score === this.player2.score) {
-            this.verifyResult();
+    // Extra time and penalty shootout for knockout matches that finish level
+    const { extraTimeScore, opponentExtraTimeScore, penalties, opponentPenalties } = decider;
+    if (extraTimeScore !== undefined) this[player].extraTimeScore = extraTimeScore;
+    if (opponentExtraTimeScore !== undefined) this[player].opponentExtraTimeScore = opponentExtraTimeScore;
+    if (penalties !== undefined) this[player].penalties = penalties;
+    if (opponentPenalties !== undefined) this[player].opponentPenalties = opponentPenalties;
+
+    // Flagged evidence sends the match to an admin instead of auto-verifying
+    if (this.hasOpenReviewFlags()) {
+        this.status = 'disputed';
+    } else if (this.player1.confirmed && this.player2.confirmed) {
+        // If both players have submitted scores, auto-verify if they match
+        if (this.player1.score !== this.player2.score || !this.decidersAgreed()) {
+            this.status = 'disputed';
+        } else if (this.isDecided() && await this.settlesTie()) {
+            return this.verifyResult();
         } else {
+            // Both agree the knockout match is level with nothing to decide it,
+            // so an admin has to rule on the winner
+            if (!this.getOpenDispute()) {
+                this.disputes.push({
+                    side: player,
+                    reason: 'No winner reported',
+                    description: 'Knockout match reported level without extra time or a penalty shootout to decide it'
+                });
+            }
             this.status = 'disputed';
         }
     }
@@ -287,24 +564,94 @@ matchSchema.methods.submitScore = function(player, score, screenshot = null, goa
     return this.save();
 };
 
+// Method to check whether this match has to produce a winner. Single knockout
+// matches do; legs of a two-legged tie may end level.
+matchSchema.methods.requiresWinner = function() {
+    return Boolean(this.bracket) && !(this.tie && this.tie.id);
+};
+
+// Method to get the winning side ('player1' or 'player2'), or null for a draw.
+// A level knockout match is decided by extra time, then the penalty shootout.
+matchSchema.methods.getWinningSide = function() {
+    const compare = (a, b) => (a === b ? null : (a > b ? 'player1' : 'player2'));
+
+    const regularTime = compare(this.player1.score, this.player2.score);
+    if (regularTime || !this.requiresWinner()) return regularTime;
+
+    const afterExtraTime = compare(
+        this.player1.score + (this.player1.extraTimeScore || 0),
+        this.player2.score + (this.player2.extraTimeScore || 0)
+    );
+    if (afterExtraTime) return afterExtraTime;
+
+    if (this.player1.penalties === null || this.player2.penalties === null) return null;
+    return compare(this.player1.penalties, this.player2.penalties);
+};
+
+// Method to check a result can be recorded from the submitted scores
+matchSchema.methods.isDecided = function() {
+    return Boolean(this.getWinningSide()) || !this.requiresWinner();
+};
+
+// Method to check the second leg of a two-legged tie settles it. A level
+// aggregate, with away goals level too where they count, has to be decided
+// by the second leg's penalty shootout.
+matchSchema.methods.settlesTie = async function() {
+    if (!this.tie || !this.tie.id || this.tie.leg !== 2) return true;
+
+    const firstLeg = await this.constructor.findOne({ 'tie.id': this.tie.id, 'tie.leg': 1 });
+    if (!firstLeg) return true;
+
+    const tournamentId = (this.tournament && this.tournament._id) || this.tournament;
+    const tournament = await mongoose.model('Tournament').findById(tournamentId).select('settings');
+
+    // Required here: the fixture generator requires this model
+    const { decideTie } = require('../utils/fixtureGenerator');
+    return Boolean(decideTie(firstLeg, this, Boolean(tournament && tournament.settings.awayGoalsRule)));
+};
+
+// Method to check both players reported the same extra time and penalty shootout
+matchSchema.methods.decidersAgreed = function() {
+    const { player1, player2 } = this;
+    const agreed = (own, opponent) => {
+        const reported = [player1[own], player1[opponent], player2[own], player2[opponent]];
+        if (reported.every(value => value === null || value === undefined)) return true;
+
+        return player1[own] === player2[opponent] && player2[own] === player1[opponent];
+    };
+
+    return agreed('extraTimeScore', 'opponentExtraTimeScore') && agreed('penalties', 'opponentPenalties');
+};
+
 // Method to verify result (admin only)
-matchSchema.methods.verifyResult = function(adminId) {
+matchSchema.methods.verifyResult = async function(adminId) {
     if (this.player1.score === null || this.player2.score === null) {
-        throw new Error('Both players must have submitted scores');
+        throw new RequestError('Both players must have submitted scores');
     }
 
-    if (this.player1.score > this.player2.score) {
-        this.result.winner = this.player1.user;
-        this.result.loser = this.player2.user;
-        this.result.isDraw = false;
-    } else if (this.player2.score > this.player1.score) {
-        this.result.winner = this.player2.user;
-        this.result.loser = this.player1.user;
+    if (!this.isDecided()) {
+        throw new RequestError('A knockout match cannot end in a draw - record extra time or a penalty shootout');
+    }
+
+    if (!(await this.settlesTie())) {
+        throw new RequestError('The tie is level on aggregate - record the second leg\'s penalty shootout');
+    }
+
+    const winningSide = this.getWinningSide();
+    if (winningSide) {
+        const losingSide = winningSide === 'player1' ? 'player2' : 'player1';
+        this.result.winner = this[winningSide].user;
+        this.result.loser = this[losingSide].user;
+        this.result.winnerScore = this[winningSide].score + (this[winningSide].extraTimeScore || 0);
+        this.result.loserScore = this[losingSide].score + (this[losingSide].extraTimeScore || 0);
         this.result.isDraw = false;
     } else {
         this.result.isDraw = true;
     }
 
+    // Matches with open flags are only verified by an admin
+    this.clearReviewFlags(adminId);
+
     this.result.confirmedBy = adminId;
     this.result.confirmedAt = new Date();
     this.status = 'completed';
@@ -312,6 +659,415 @@ matchSchema.methods.verifyResult = function(adminId) {
     return this.save();
 };
 
+// Method to check for flagged evidence no admin has looked at yet
+matchSchema.methods.hasOpenReviewFlags = function() {
+    return this.reviewFlags.some(flag => !flag.reviewedAt);
+};
+
+// Marks every open review flag as seen by an admin
+matchSchema.methods.clearReviewFlags = function(adminId) {
+    this.reviewFlags.forEach(flag => {
+        if (!flag.reviewedAt) {
+            flag.reviewedBy = adminId;
+            flag.reviewedAt = new Date();
+        }
+    });
+};
+
+// Method to award the match to one side without it being played
+matchSchema.methods.recordWalkover = function(side, reason) {
+    if (['completed', 'cancelled'].includes(this.status)) {
+        throw new Error('Match is already decided');
+    }
+
+    const losingSide = side === 'player1' ? 'player2' : 'player1';
+    this.clearDeciders();
+    this[side].score = WALKOVER_SCORE;
+    this[losingSide].score = 0;
+
+    this.result.winner = this[side].user;
+    this.result.loser = this[losingSide].user || null;
+    this.result.winnerScore = WALKOVER_SCORE;
+    this.result.loserScore = 0;
+    this.result.isDraw = false;
+    this.result.isWalkover = true;
+    this.result.walkoverReason = reason;
+    this.result.confirmedAt = new Date();
+    this.status = 'completed';
+
+    return this.save();
+};
+
+// Method to record that neither side turned up: there is no winner, and
+// both players take a loss
+matchSchema.methods.recordDoubleForfeit = function(reason) {
+    if (['completed', 'cancelled'].includes(this.status)) {
+        throw new Error('Match is already decided');
+    }
+
+    this.clearDeciders();
+    this.player1.score = 0;
+    this.player2.score = 0;
+
+    this.result.winner = null;
+    this.result.loser = null;
+    this.result.isDraw = false;
+    this.result.isWalkover = true;
+    this.result.walkoverReason = reason;
+    this.result.confirmedAt = new Date();
+    this.status = 'completed';
+
+    return this.save();
+};
+
+// Method to check whether both players forfeited the match
+matchSchema.methods.isDoubleForfeit = function() {
+    return this.status === 'completed' && this.result.isWalkover && !this.result.winner && !this.result.isDraw;
+};
+
+// Clears extra time and shootout scores ahead of an awarded result
+matchSchema.methods.clearDeciders = function() {
+    ['player1', 'player2'].forEach(side => {
+        this[side].extraTimeScore = null;
+        this[side].opponentExtraTimeScore = null;
+        this[side].penalties = null;
+        this[side].opponentPenalties = null;
+    });
+};
+
+// Method to get the dispute still waiting on a ruling, if any
+matchSchema.methods.getOpenDispute = function() {
+    return this.disputes.find(d => ['open', 'under_review'].includes(d.status)) || null;
+};
+
+// Method for a player to dispute the match before its result is verified.
+// The match waits as 'disputed' until an admin rules on it.
+matchSchema.methods.openDispute = function(side, userId, { reason, description, evidence = [] } = {}) {
+    if (!['scheduled', 'in_progress', 'disputed'].includes(this.status)) {
+        throw new RequestError('Only matches awaiting a verified result can be disputed');
+    }
+
+    if (!reason) {
+        throw new RequestError('A reason is required');
+    }
+
+    if (this.getOpenDispute()) {
+        throw new RequestError('This match already has an open dispute');
+    }
+
+    this.disputes.push({
+        raisedBy: userId,
+        side,
+        reason,
+        description,
+        evidence
+    });
+    this.status = 'disputed';
+
+    return this.save();
+};
+
+// Method for the opponent to give their side of an open dispute
+matchSchema.methods.respondToDispute = function(side, userId, { statement, evidence = [] } = {}) {
+    const dispute = this.getOpenDispute();
+
+    if (!dispute) {
+        throw new RequestError('There is no open dispute to respond to');
+    }
+
+    if (dispute.side === side) {
+        throw new RequestError('Only the opponent can respond to a dispute', 403);
+    }
+
+    if (dispute.response && dispute.response.respondedAt) {
+        throw new RequestError('This dispute has already been responded to');
+    }
+
+    if (!statement) {
+        throw new RequestError('A statement is required');
+    }
+
+    dispute.response = {
+        respondedBy: userId,
+        statement,
+        evidence,
+        respondedAt: new Date()
+    };
+    dispute.status = 'under_review';
+
+    return this.save();
+};
+
+// Method for an admin to rule on the open dispute: confirm a final score,
+// order a replay, or disqualify one side (the opponent wins by walkover)
+matchSchema.methods.resolveDispute = function(adminId, decision, { player1Score, player2Score, player1Penalties, player2Penalties, disqualify, scheduledTime, resolution } = {}) {
+    const dispute = this.getOpenDispute();
+
+    if (!dispute) {
+        throw new RequestError('There is no open dispute to resolve');
+    }
+
+    dispute.status = 'resolved';
+    dispute.decision = decision;
+    dispute.resolution = resolution;
+    dispute.resolvedBy = adminId;
+    dispute.resolvedAt = new Date();
+    this.clearReviewFlags(adminId);
+
+    switch (decision) {
+        case 'final_score':
+            this.setFinalScore({ player1Score, player2Score, player1Penalties, player2Penalties });
+            this.result.verifiedByAdmin = true;
+            return this.verifyResult(adminId);
+        case 'replay': {
+            const time = new Date(scheduledTime);
+            if (isNaN(time.getTime()) || time <= new Date()) {
+                throw new RequestError('A future time for the replay is required');
+            }
+
+            // The replay gets as long to report as the original match had
+            if (this.deadline) {
+                const shifted = new Date(time.getTime() + Math.max(0, this.deadline - this.scheduledTime));
+                this.deadline = shifted > this.deadline ? shifted : this.deadline;
+            }
+
+            this.clearSubmissions();
+            dispute.replayTime = time;
+            this.scheduledTime = time;
+            this.status = 'scheduled';
+            return this.save();
+        }
+        case 'disqualification': {
+            if (!['player1', 'player2'].includes(disqualify)) {
+                throw new RequestError('Choose the side to disqualify');
+            }
+
+            dispute.disqualified = this[disqualify].user;
+            this.result.confirmedBy = adminId;
+            this.result.verifiedByAdmin = true;
+            return this.recordWalkover(disqualify === 'player1' ? 'player2' : 'player1', `Opponent disqualified${resolution ? `: ${resolution}` : ''}`);
+        }
+        default:
+            throw new RequestError('Decision must be final_score, replay or disqualification');
+    }
+};
+
+// Method for an admin to change the score of a verified match. The result
+// it replaces is kept in `corrections`.
+matchSchema.methods.correctResult = function(adminId, { player1Score, player2Score, player1Penalties, player2Penalties, reason } = {}) {
+    if (this.status !== 'completed') {
+        throw new RequestError('Only verified results can be corrected');
+    }
+
+    this.corrections.push({
+        action: 'corrected',
+        previous: this.getResultSnapshot(),
+        reason,
+        correctedBy: adminId
+    });
+
+    this.setFinalScore({ player1Score, player2Score, player1Penalties, player2Penalties });
+
+    // Start from a clean result, so one corrected to a draw keeps no winner.
+    // The old result was counted in the stats and moved the tournament on;
+    // both are revised from the corrected result instead.
+    const { statsRecorded, progressed } = this.result;
+    this.clearResult();
+    this.result.statsRecorded = statsRecorded;
+    this.result.progressed = progressed;
+    this.result.verifiedByAdmin = true;
+    return this.verifyResult(adminId);
+};
+
+// Method for an admin to void a verified match, so it no longer counts
+matchSchema.methods.voidResult = function(adminId, reason) {
+    if (this.status !== 'completed') {
+        throw new RequestError('Only verified results can be voided');
+    }
+
+    this.corrections.push({
+        action: 'voided',
+        previous: this.getResultSnapshot(),
+        reason,
+        correctedBy: adminId
+    });
+
+    this.clearResult();
+    this.status = 'cancelled';
+    return this.save();
+};
+
+// The scores and result as they stand, for the corrections history
+matchSchema.methods.getResultSnapshot = function() {
+    return {
+        player1Score: this.player1.score,
+        player2Score: this.player2.score,
+        player1Penalties: this.player1.penalties,
+        player2Penalties: this.player2.penalties,
+        winner: this.result.winner,
+        isDraw: this.result.isDraw,
+        isWalkover: this.result.isWalkover
+    };
+};
+
+// Sets scores decided by an admin, with an optional penalty shootout
+matchSchema.methods.setFinalScore = function({ player1Score, player2Score, player1Penalties, player2Penalties }) {
+    const scores = [player1Score, player2Score, player1Penalties, player2Penalties]
+        .map(value => (value === undefined || value === null || value === '' ? null : parseInt(value)));
+    if (scores.slice(0, 2).some(value => value === null) || scores.some(value => value !== null && (isNaN(value) || value < 0))) {
+        throw new RequestError('Valid scores for both players are required');
+    }
+
+    this.clearDeciders();
+    this.player1.score = scores[0];
+    this.player2.score = scores[1];
+    this.player1.penalties = this.player2.opponentPenalties = scores[2];
+    this.player2.penalties = this.player1.opponentPenalties = scores[3];
+};
+
+// Clears both players' reported scores and evidence, e.g. ahead of a replay
+matchSchema.methods.clearSubmissions = function() {
+    ['player1', 'player2'].forEach(side => {
+        this[side].score = null;
+        this[side].confirmed = false;
+        this[side].screenshot = null;
+        this[side].evidence = [];
+        this[side].goals = [];
+    });
+    this.clearDeciders();
+};
+
+// Clears the recorded result
+matchSchema.methods.clearResult = function() {
+    this.result.winner = null;
+    this.result.loser = null;
+    this.result.isDraw = false;
+    this.result.winnerScore = undefined;
+    this.result.loserScore = undefined;
+    this.result.isWalkover = false;
+    this.result.walkoverReason = undefined;
+    this.result.confirmedBy = undefined;
+    this.result.confirmedAt = undefined;
+    this.result.statsRecorded = false;
+    this.result.verifiedByAdmin = false;
+    this.result.progressed = false;
+};
+
+// Method to get the reschedule request waiting on an answer, if any
+matchSchema.methods.getPendingReschedule = function() {
+    return this.rescheduleRequests.find(r => r.status === 'pending') || null;
+};
+
+// Checks proposed times are in the future and before the round deadline
+matchSchema.methods.validateRescheduleTimes = function(times) {
+    if (!Array.isArray(times) || times.length === 0) {
+        throw new RequestError('Propose at least one new time');
+    }
+
+    const now = new Date();
+    return times.map(time => {
+        const date = new Date(time);
+        if (isNaN(date.getTime()) || date <= now) {
+            throw new RequestError('Proposed times must be valid future times');
+        }
+        if (this.deadline && date > this.deadline) {
+            throw new RequestError(`Matches in this round must be played by ${this.deadline.toISOString()}`);
+        }
+        return date;
+    });
+};
+
+// Method for a player to propose new times for the match
+matchSchema.methods.proposeReschedule = function(side, userId, times, reason = '') {
+    if (!['scheduled', 'pending'].includes(this.status)) {
+        throw new RequestError('Only matches that have not been played can be rescheduled');
+    }
+
+    if (this.deadline && new Date() > this.deadline) {
+        throw new RequestError('The round deadline has passed');
+    }
+
+    if (this.getPendingReschedule()) {
+        throw new RequestError('A reschedule request is already waiting for an answer');
+    }
+
+    this.rescheduleRequests.push({
+        proposedBy: userId,
+        side,
+        proposedTimes: this.validateRescheduleTimes(times),
+        reason
+    });
+
+    return this.save();
+};
+
+// Method for the opponent to accept, reject or counter a reschedule request
+matchSchema.methods.respondToReschedule = function(side, userId, action, { time, proposedTimes, reason } = {}) {
+    const request = this.getPendingReschedule();
+
+    if (!request) {
+        throw new RequestError('There is no reschedule request to answer');
+    }
+
+    if (request.side === side) {
+        throw new RequestError('Only the opponent can answer a reschedule request', 403);
+    }
+
+    // Validate a counter-proposal before closing the request it replaces
+    const counterTimes = action === 'counter' ? this.validateRescheduleTimes(proposedTimes) : null;
+
+    switch (action) {
+        case 'accept': {
+            const chosen = time ? new Date(time) : request.proposedTimes[0];
+            if (!request.proposedTimes.some(t => t.getTime() === chosen.getTime())) {
+                throw new RequestError('Accept one of the proposed times');
+            }
+            this.validateRescheduleTimes([chosen]);
+            request.status = 'accepted';
+            request.acceptedTime = chosen;
+            this.scheduledTime = chosen;
+            break;
+        }
+        case 'reject':
+            request.status = 'rejected';
+            break;
+        case 'counter':
+            request.status = 'countered';
+            this.rescheduleRequests.push({
+                proposedBy: userId,
+                side,
+                proposedTimes: counterTimes,
+                reason
+            });
+            break;
+        default:
+            throw new RequestError('Action must be accept, reject or counter');
+    }
+
+    request.respondedBy = userId;
+    request.respondedAt = new Date();
+
+    return this.save();
+};
+
+// Method for an admin to set the match time directly, closing any open request
+matchSchema.methods.overrideSchedule = function(adminId, time) {
+    const date = new Date(time);
+    if (isNaN(date.getTime())) {
+        throw new RequestError('A valid time is required');
+    }
+
+    const request = this.getPendingReschedule();
+    if (request) {
+        request.status = 'overridden';
+        request.respondedBy = adminId;
+        request.respondedAt = new Date();
+    }
+
+    this.scheduledTime = date;
+    return this.save();
+};
+
 // Static method to find matches by player
 matchSchema.statics.findByPlayer = function(playerId) {
     return this.find({
@@ -48,6 +48,10 @@ const paymentSchema = new mongoose.Schema({
         phoneNumber: String,
         description: String,
         notes: String
+    },
+    refundDue: {
+        type: Boolean,
+        default: false // Entry fee paid for a place that had gone; cleared if the player still gets in
     }
 }, {
     timestamps: true
@@ -58,6 +62,7 @@ paymentSchema.index({ user: 1 });
 paymentSchema.index({ tournament: 1 });
 paymentSchema.index({ status: 1 });
 paymentSchema.index({ createdAt: 1 });
+paymentSchema.index({ refundDue: 1 });
 
 // Static method to find pending payments
 paymentSchema.statics.findPending = function() {
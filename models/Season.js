@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const seasonSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Season name is required'],
+        trim: true,
+        maxlength: [100, 'Season name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    type: {
+        type: String,
+        enum: ['monthly', 'weekly'],
+        default: 'monthly' // How often the circuit runs; standings are kept per season, not per calendar period
+    },
+    startDate: {
+        type: Date,
+        required: [true, 'Season start date is required']
+    },
+    endDate: Date,
+    status: {
+        type: String,
+        enum: ['upcoming', 'active', 'completed'],
+        default: 'upcoming'
+    },
+    tournaments: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tournament'
+    }],
+    pointsTable: {
+        type: [{
+            position: Number,
+            points: Number
+        }],
+        default: [
+            { position: 1, points: 100 },
+            { position: 2, points: 70 },
+            { position: 3, points: 50 },
+            { position: 4, points: 40 },
+            { position: 5, points: 25 },
+            { position: 9, points: 10 }
+        ] // Players sharing a position (e.g. both beaten semi-finalists in 3rd) get its points
+    },
+    participationPoints: {
+        type: Number,
+        default: 0,
+        min: 0 // Awarded to every finisher whose position is not in the points table
+    },
+    results: [{
+        tournament: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Tournament'
+        },
+        player: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        position: Number,
+        points: Number,
+        awardedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    prizes: [{
+        position: Number,
+        amount: Number,
+        description: String
+    }]
+}, {
+    timestamps: true
+});
+
+// Method to get the circuit points for a final position
+seasonSchema.methods.getPointsFor = function(position) {
+    const row = this.pointsTable.find(r => r.position === position);
+    return row ? row.points : this.participationPoints;
+};
+
+module.exports = mongoose.model('Season', seasonSchema);
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const { RequestError } = require('../utils/errors');
+
+const teamSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Team name is required'],
+        unique: true,
+        trim: true,
+        minlength: [3, 'Team name must be at least 3 characters'],
+        maxlength: [30, 'Team name cannot exceed 30 characters']
+    },
+    tag: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        maxlength: [5, 'Team tag cannot exceed 5 characters']
+    },
+    captain: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    members: [{
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        joinedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    invites: [{
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        invitedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'accepted', 'declined', 'cancelled'],
+            default: 'pending'
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        },
+        respondedAt: Date
+    }],
+    maxMembers: {
+        type: Number,
+        default: 10,
+        min: [2, 'A team needs room for at least 2 members']
+    },
+    stats: {
+        matchesPlayed: { type: Number, default: 0 },
+        wins: { type: Number, default: 0 },
+        draws: { type: Number, default: 0 },
+        losses: { type: Number, default: 0 },
+        goalsFor: { type: Number, default: 0 },
+        goalsAgainst: { type: Number, default: 0 },
+        points: { type: Number, default: 0 }
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+teamSchema.index({ 'members.user': 1 });
+teamSchema.index({ 'invites.user': 1, 'invites.status': 1 });
+
+// Virtual for roster size
+teamSchema.virtual('memberCount').get(function() {
+    return this.members.length;
+});
+
+// Method to check whether a user is on the roster
+teamSchema.methods.isMember = function(userId) {
+    return this.members.some(m => m.user.toString() === userId.toString());
+};
+
+// Method to invite a user to the team
+teamSchema.methods.invite = function(userId, invitedBy) {
+    if (this.isMember(userId)) {
+        throw new RequestError('Player is already on the team');
+    }
+
+    if (this.invites.some(i => i.user.toString() === userId.toString() && i.status === 'pending')) {
+        throw new RequestError('Player has already been invited');
+    }
+
+    if (this.memberCount >= this.maxMembers) {
+        throw new RequestError('Team roster is full');
+    }
+
+    this.invites.push({ user: userId, invitedBy });
+    return this.save();
+};
+
+// Method for an invited user to accept or decline their invite
+teamSchema.methods.respondToInvite = function(userId, accept) {
+    const invite = this.invites.find(i => i.user.toString() === userId.toString() && i.status === 'pending');
+
+    if (!invite) {
+        throw new RequestError('No pending invite for this player');
+    }
+
+    if (accept && this.memberCount >= this.maxMembers) {
+        throw new RequestError('Team roster is full');
+    }
+
+    invite.status = accept ? 'accepted' : 'declined';
+    invite.respondedAt = new Date();
+    if (accept) {
+        this.members.push({ user: userId });
+    }
+
+    return this.save();
+};
+
+// Method to remove a member from the roster
+teamSchema.methods.removeMember = function(userId) {
+    if (this.captain.toString() === userId.toString()) {
+        throw new RequestError('The captain cannot leave the team');
+    }
+
+    const memberIndex = this.members.findIndex(m => m.user.toString() === userId.toString());
+    if (memberIndex === -1) {
+        throw new RequestError('Player is not on the team');
+    }
+
+    this.members.splice(memberIndex, 1);
+    return this.save();
+};
+
+// Method to record a verified match result for the team
+teamSchema.methods.updateStats = function(result, goalsFor = 0, goalsAgainst = 0) {
+    this.stats.matchesPlayed += 1;
+    this.stats.goalsFor += goalsFor;
+    this.stats.goalsAgainst += goalsAgainst;
+
+    if (result === 'win') {
+        this.stats.wins += 1;
+        this.stats.points += 3;
+    } else if (result === 'loss') {
+        this.stats.losses += 1;
+    } else if (result === 'draw') {
+        this.stats.draws += 1;
+        this.stats.points += 1;
+    }
+
+    return this.save();
+};
+
+// Static method to find the teams a user plays for
+teamSchema.statics.findByMember = function(userId) {
+    return this.find({ 'members.user': userId, isActive: true })
+        .populate('captain members.user', 'efootballId profile');
+};
+
+// Pre-save middleware to keep the captain on the roster
+teamSchema.pre('save', function(next) {
+    if (!this.isMember(this.captain)) {
+        this.members.unshift({ user: this.captain });
+    }
+    next();
+});
+
+module.exports = mongoose.model('Team', teamSchema);
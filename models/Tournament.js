@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
+const { isValidTimezone } = require('../utils/helpers');
+const { RequestError } = require('../utils/errors');
+const Match = require('./Match');
 const { generateFixtures, updateTournamentLeaderboard, generateNextKnockoutRound } = require('../utils/fixtureGenerator');
+const { promoteFromWaitlist } = require('../utils/waitlist');
 
 const tournamentSchema = new mongoose.Schema({
     name: {
@@ -24,14 +28,31 @@ const tournamentSchema = new mongoose.Schema({
     },
     format: {
         type: String,
-        enum: ['knockout', 'group', 'group+knockout', 'league'],
+        enum: ['knockout', 'double-elimination', 'group', 'group+knockout', 'league', 'swiss', 'ladder'],
         required: true
     },
+    season: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Season' // Final placings award circuit points in this season
+    },
+    participantType: {
+        type: String,
+        enum: ['individual', 'team'],
+        default: 'individual' // Team events enter teams, each represented by its captain
+    },
     status: {
         type: String,
         enum: ['draft', 'upcoming', 'active', 'completed', 'cancelled'],
         default: 'draft'
     },
+    swissRoundsPaired: {
+        type: Number,
+        default: 0 // Swiss: last round paired, claimed atomically so each round is generated once
+    },
+    knockoutGenerated: {
+        type: Boolean,
+        default: false // Group + knockout: claimed atomically so the knockout stage is drawn once
+    },
     settings: {
         capacity: {
             type: Number,
@@ -66,6 +87,87 @@ const tournamentSchema = new mongoose.Schema({
             type: [String],
             default: ['mobile'],
             enum: ['mobile', 'console']
+        },
+        teamSize: {
+            type: Number,
+            default: 2, // Team events: rostered members a team needs to enter
+            min: [1, 'A team needs at least 1 player']
+        },
+        seedingMode: {
+            type: String,
+            enum: ['random', 'manual', 'rank', 'rating'],
+            default: 'random' // rank/rating come from the global leaderboard
+        },
+        knockoutLegs: {
+            type: Number,
+            enum: [1, 2],
+            default: 1 // 2 = home-and-away ties decided on aggregate
+        },
+        awayGoalsRule: {
+            type: Boolean,
+            default: false
+        },
+        singleLegFinal: {
+            type: Boolean,
+            default: true
+        },
+        grandFinalReset: {
+            type: Boolean,
+            default: true // Double elimination: replay the final if the losers-bracket player wins it
+        },
+        bestOf: [{
+            round: String, // Knockout round name, e.g. 'Final' or 'Grand Final'
+            games: {
+                type: Number,
+                enum: [1, 3, 5],
+                default: 1
+            }
+        }],
+        thirdPlaceMatch: {
+            type: Boolean,
+            default: false // Knockout: the losing semi-finalists play off for third place
+        },
+        qualifiersPerGroup: {
+            type: Number,
+            default: 2,
+            min: [1, 'At least one player per group must qualify']
+        },
+        leagueRounds: {
+            type: Number,
+            enum: [1, 2],
+            default: 1 // 2 = home-and-away double round-robin
+        },
+        swissRounds: {
+            type: Number,
+            min: [1, 'A Swiss tournament needs at least 1 round'] // Defaults to log2(players) when unset
+        },
+        ladderChallengeRange: {
+            type: Number,
+            default: 3, // Ladder: how many places above themselves a player may challenge
+            min: [1, 'Players must be able to challenge at least 1 place above them']
+        },
+        ladderResponseHours: {
+            type: Number,
+            default: 48, // Ladder: time to accept a challenge before forfeiting it
+            min: [1, 'Players need at least 1 hour to respond to a challenge']
+        },
+        waitlistPaymentMinutes: {
+            type: Number,
+            default: 30, // Paid tournaments: time a promoted waitlist player has to pay the entry fee
+            min: [1, 'Promoted players need at least 1 minute to pay']
+        },
+        noShowPolicy: {
+            type: String,
+            enum: ['double_forfeit', 'higher_seed'],
+            default: 'double_forfeit' // Neither player reported by the deadline. higher_seed only applies to knockout matches
+        }
+    },
+    timezone: {
+        type: String,
+        default: 'Africa/Nairobi', // Fixture start times and match days are in this timezone
+        validate: {
+            validator: isValidTimezone,
+            message: 'Please provide a valid timezone, e.g. Africa/Nairobi'
         }
     },
     schedule: {
@@ -74,10 +176,35 @@ const tournamentSchema = new mongoose.Schema({
         tournamentStart: Date,
         tournamentEnd: Date
     },
+    checkIn: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        opensMinutesBefore: {
+            type: Number,
+            default: 60, // Check-in opens this long before schedule.tournamentStart
+            min: [1, 'Check-in must be open for at least 1 minute']
+        },
+        closesMinutesBefore: {
+            type: Number,
+            default: 10, // ...and closes this long before it, when no-shows are dropped and fixtures drawn
+            min: 0
+        },
+        closedAt: Date
+    },
     participants: [{
         player: {
             type: mongoose.Schema.Types.ObjectId,
-            ref: 'User'
+            ref: 'User' // For a team, the captain who entered it and plays its matches
+        },
+        team: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Team'
+        },
+        qualifiedFrom: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Tournament'
         },
         joinedAt: {
             type: Date,
@@ -88,7 +215,12 @@ const tournamentSchema = new mongoose.Schema({
             enum: ['registered', 'checked-in', 'disqualified'],
             default: 'registered'
         },
+        checkedInAt: Date,
         seed: Number,
+        byeRounds: {
+            type: [Number],
+            default: []
+        },
         stats: {
             matchesPlayed: {
                 type: Number,
@@ -117,6 +249,14 @@ const tournamentSchema = new mongoose.Schema({
             points: {
                 type: Number,
                 default: 0
+            },
+            buchholz: {
+                type: Number,
+                default: 0
+            },
+            sonnebornBerger: {
+                type: Number,
+                default: 0
             }
         }
     }],
@@ -147,6 +287,60 @@ const tournamentSchema = new mongoose.Schema({
         },
         prize: Number
     }],
+    qualification: {
+        target: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Tournament' // The event this one's top finishers qualify for
+        },
+        spots: {
+            type: Number,
+            min: [1, 'At least 1 player must qualify']
+        },
+        reward: {
+            type: String,
+            enum: ['slot', 'fee_waiver'],
+            default: 'slot'
+        }
+    },
+    waitlist: [{
+        player: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        team: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Team'
+        },
+        joinedAt: {
+            type: Date,
+            default: Date.now
+        },
+        checkedInAt: Date, // Waitlisted players check in too, to be ready to replace a no-show
+        replaces: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User' // The player whose place (and fixtures) this player is taking
+        },
+        offeredAt: Date,
+        offerExpiresAt: Date, // Paid tournaments: the place is held for this player until then
+        paidEntry: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Payment' // Entry fee paid after the last place went; the player is not charged again
+        }
+    }],
+    feeWaivers: [{
+        player: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        source: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Tournament' // The qualifier that earned the waiver
+        },
+        grantedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     isPublic: {
         type: Boolean,
         default: true
@@ -175,6 +369,21 @@ const tournamentSchema = new mongoose.Schema({
         daysOfWeek: {
             type: [Number],
             default: [5, 6]
+        },
+        parallelMatches: {
+            type: Number,
+            default: 1, // Matches played side by side in each time slot
+            min: [1, 'At least 1 match must be played per slot']
+        },
+        minRestMinutes: {
+            type: Number,
+            default: 30, // Minimum gap between the end of a player's match and the start of their next
+            min: 0
+        },
+        resultDeadlineHours: {
+            type: Number,
+            default: 24, // Results are due this long after the last match of each round
+            min: [1, 'Players need at least 1 hour to report results']
         }
     },
     leaderboardSettings: {
@@ -197,7 +406,12 @@ const tournamentSchema = new mongoose.Schema({
         },
         tiebreakers: {
             type: [String],
-            default: ['points', 'goalDifference', 'goalsFor', 'headToHead']
+            default: function() {
+                // Swiss players meet different opponents, so strength of schedule comes first
+                return this.format === 'swiss'
+                    ? ['points', 'buchholz', 'sonnebornBerger', 'goalDifference', 'goalsFor']
+                    : ['points', 'goalDifference', 'goalsFor', 'headToHead'];
+            }
         }
     }
 }, {
@@ -210,9 +424,9 @@ tournamentSchema.index({ 'schedule.tournamentStart': 1 });
 tournamentSchema.index({ organizer: 1 });
 tournamentSchema.index({ 'settings.entryFee': 1 });
 
-// Virtual for current participants count
+// Virtual for current participants count (checked in or not)
 tournamentSchema.virtual('participantCount').get(function() {
-    return this.participants.filter(p => p.status === 'registered').length;
+    return this.participants.filter(p => p.status !== 'disqualified').length;
 });
 
 // Virtual for available slots
@@ -235,19 +449,49 @@ tournamentSchema.virtual('registrationStatus').get(function() {
     return 'open';
 });
 
-// Method to add participant
-tournamentSchema.methods.addParticipant = function(userId) {
+// Virtual for check-in status: 'closed' once the window has passed, even
+// before the no-shows have been dropped
+tournamentSchema.virtual('checkInStatus').get(function() {
+    if (!this.checkIn || !this.checkIn.enabled || !this.schedule.tournamentStart) {
+        return 'disabled';
+    }
+    if (this.checkIn.closedAt) {
+        return 'closed';
+    }
+
+    const now = Date.now();
+    const start = this.schedule.tournamentStart.getTime();
+    if (now < start - this.checkIn.opensMinutesBefore * 60 * 1000) {
+        return 'not_open';
+    }
+    if (now < start - this.checkIn.closesMinutesBefore * 60 * 1000) {
+        return 'open';
+    }
+    return 'closed';
+});
+
+// Method to add participant (with their team, for team tournaments)
+tournamentSchema.methods.addParticipant = function(userId, teamId = null) {
     if (this.participants.some(p => p.player.toString() === userId.toString())) {
         throw new Error('Player already registered for this tournament');
     }
+
+    if (this.participantType === 'team' && !teamId) {
+        throw new Error('Team tournaments are entered by teams');
+    }
+
+    if (teamId && this.participants.some(p => p.team && p.team.toString() === teamId.toString())) {
+        throw new Error('Team already registered for this tournament');
+    }
     
-    if (this.participantCount >= this.settings.capacity) {
+    if (!this.hasOpenPlace()) {
         throw new Error('Tournament is full');
     }
     
+    this.waitlist = this.waitlist.filter(w => w.player.toString() !== userId.toString());
     this.participants.push({
         player: userId,
-        seed: this.participantCount + 1,
+        team: teamId || undefined,
         stats: {
             matchesPlayed: 0,
             wins: 0,
@@ -259,14 +503,122 @@ tournamentSchema.methods.addParticipant = function(userId) {
         }
     });
     
-    // Check if we've reached capacity and need to generate fixtures
-    if (this.participantCount + 1 === this.settings.capacity && this.format !== 'league') {
+    // Check if we've reached capacity and need to generate fixtures (with
+    // check-in, they are drawn when it closes)
+    if (this.participantCount + 1 === this.settings.capacity && !['league', 'ladder'].includes(this.format) && !this.checkIn.enabled) {
         this.generateFixtures();
     }
     
     return this.save();
 };
 
+// Method to check for a free place not held for a waitlisted player
+tournamentSchema.methods.hasOpenPlace = function() {
+    return this.availableSlots > this.waitlist.filter(w => w.offerExpiresAt).length;
+};
+
+// Method to join the waitlist of a full tournament
+tournamentSchema.methods.joinWaitlist = function(userId, teamId = null) {
+    if (this.participants.some(p => p.player.toString() === userId.toString())) {
+        throw new Error('Player already registered for this tournament');
+    }
+
+    if (this.waitlist.some(w => w.player.toString() === userId.toString())) {
+        throw new Error('Player is already on the waitlist');
+    }
+
+    if (this.participantType === 'team' && !teamId) {
+        throw new Error('Team tournaments are entered by teams');
+    }
+
+    if (teamId && [...this.participants, ...this.waitlist].some(p => p.team && p.team.toString() === teamId.toString())) {
+        throw new Error('Team already registered for this tournament');
+    }
+
+    this.waitlist.push({ player: userId, team: teamId || undefined });
+    return this.save();
+};
+
+// Method to leave the waitlist
+tournamentSchema.methods.leaveWaitlist = function(userId) {
+    const entry = this.waitlist.find(w => w.player.toString() === userId.toString());
+
+    if (!entry) {
+        throw new Error('Player is not on the waitlist');
+    }
+
+    // A place held for this player goes to the next in line
+    if (entry.offerExpiresAt) {
+        entry.offerExpiresAt = new Date();
+        return promoteFromWaitlist(this);
+    }
+
+    this.waitlist.pull(entry._id);
+    return this.save();
+};
+
+// Method to check whether a player's entry fee has been waived
+tournamentSchema.methods.hasFeeWaiver = function(userId) {
+    return this.feeWaivers.some(w => w.player.toString() === userId.toString());
+};
+
+// Method to check in a participant, or a waitlisted player hoping to replace a no-show
+tournamentSchema.methods.checkInParticipant = function(userId) {
+    if (this.checkInStatus !== 'open') {
+        throw new RequestError(this.checkInStatus === 'not_open' ? 'Check-in has not opened yet' : 'Check-in is not open');
+    }
+
+    const participant = this.participants.find(p => p.player.toString() === userId.toString());
+    const entry = participant || this.waitlist.find(w => w.player.toString() === userId.toString());
+
+    if (!entry) {
+        throw new RequestError('Player not registered for this tournament', 403);
+    }
+
+    if (participant && participant.status === 'disqualified') {
+        throw new RequestError('Player has been disqualified from this tournament', 403);
+    }
+
+    if (participant) {
+        participant.status = 'checked-in';
+    }
+    entry.checkedInAt = entry.checkedInAt || new Date();
+
+    return this.save();
+};
+
+// Method to close check-in: participants who did not check in lose their
+// places to checked-in waitlisted players, in waitlist order, and fixtures
+// are drawn from the checked-in field
+tournamentSchema.methods.closeCheckIn = async function() {
+    if (this.checkIn.closedAt) {
+        return this;
+    }
+
+    const noShows = this.participants.filter(p => p.status === 'registered').map(p => p.player);
+    this.participants = this.participants.filter(p => p.status !== 'registered');
+    this.checkIn.closedAt = new Date();
+    await this.save();
+
+    await promoteFromWaitlist(this, noShows);
+    return this.drawCheckedInFixtures();
+};
+
+// Method to draw fixtures once check-in has closed and every place offered
+// to a waitlisted player has been paid for or has lapsed
+tournamentSchema.methods.drawCheckedInFixtures = async function() {
+    if (!this.checkIn.closedAt || this.waitlist.some(w => w.offerExpiresAt)) {
+        return this;
+    }
+
+    const hasFixtures = await Match.exists({ tournament: this._id });
+    if (!hasFixtures && this.participantCount >= 2) {
+        await this.generateFixtures();
+    }
+
+    return this;
+};
+
 // Method to remove participant
 tournamentSchema.methods.removeParticipant = function(userId) {
     const participantIndex = this.participants.findIndex(
@@ -293,6 +645,11 @@ tournamentSchema.statics.findActive = function() {
 // Pre-save middleware to update status based on dates
 tournamentSchema.pre('save', function(next) {
     const now = new Date();
+
+    // Finished or cancelled tournaments keep their status
+    if (this.status === 'completed' || this.status === 'cancelled') {
+        return next();
+    }
     
     if (this.schedule.tournamentStart && now >= this.schedule.tournamentStart) {
         this.status = 'active';
@@ -342,7 +699,7 @@ tournamentSchema.methods.updateLeaderboard = async function() {
  * @returns {Promise} Resolves with the updated tournament
  */
 tournamentSchema.methods.generateNextKnockoutRound = async function() {
-    if (this.format !== 'knockout' && this.format !== 'group+knockout') {
+    if (!['knockout', 'double-elimination', 'group+knockout'].includes(this.format)) {
         throw new Error('Can only generate knockout rounds for knockout tournaments');
     }
     
@@ -374,6 +731,18 @@ tournamentSchema.methods.getLeaderboard = function() {
                         return b.stats.goalsFor - a.stats.goalsFor;
                     }
                     break;
+
+                case 'buchholz':
+                    if (a.stats.buchholz !== b.stats.buchholz) {
+                        return b.stats.buchholz - a.stats.buchholz;
+                    }
+                    break;
+
+                case 'sonnebornBerger':
+                    if (a.stats.sonnebornBerger !== b.stats.sonnebornBerger) {
+                        return b.stats.sonnebornBerger - a.stats.sonnebornBerger;
+                    }
+                    break;
                     
                 case 'headToHead':
                     // In a real app, we'd check head-to-head results
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { isValidTimezone } = require('../utils/helpers');
 
 const userSchema = new mongoose.Schema({
     whatsapp: {
@@ -55,6 +57,38 @@ const userSchema = new mongoose.Schema({
         points: { type: Number, default: 0 },
         ranking: { type: Number, default: 0 }
     },
+    timezone: {
+        type: String,
+        default: 'Africa/Nairobi',
+        validate: {
+            validator: isValidTimezone,
+            message: 'Please provide a valid timezone, e.g. Africa/Nairobi'
+        }
+    },
+    availability: [{
+        day: {
+            type: Number, // 0 = Sunday
+            required: true,
+            min: 0,
+            max: 6
+        },
+        start: {
+            type: String, // 'HH:MM' in the player's timezone
+            required: true,
+            match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Start must be a time like 18:00']
+        },
+        end: {
+            type: String,
+            required: true,
+            match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'End must be a time like 22:00'],
+            validate: {
+                validator: function(end) {
+                    return end > this.start;
+                },
+                message: 'An availability window must end after it starts'
+            }
+        }
+    }],
     role: {
         type: String,
         enum: ['user', 'player', 'admin'],
@@ -70,6 +104,10 @@ const userSchema = new mongoose.Schema({
     },
     lastLogin: {
         type: Date
+    },
+    calendarToken: {
+        type: String,
+        select: false // Secret part of the player's fixtures calendar feed URL
     }
 }, {
     timestamps: true
@@ -80,6 +118,7 @@ userSchema.index({ whatsapp: 1 });
 userSchema.index({ efootballId: 1 });
 userSchema.index({ 'stats.points': -1 });
 userSchema.index({ role: 1 });
+userSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -124,10 +163,17 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.toJSON = function() {
     const user = this.toObject();
     delete user.password;
+    delete user.calendarToken;
     delete user.__v;
     return user;
 };
 
+// Method to issue a new calendar feed token, invalidating the old feed URL
+userSchema.methods.generateCalendarToken = function() {
+    this.calendarToken = crypto.randomBytes(24).toString('hex');
+    return this.save();
+};
+
 // Static method to find by WhatsApp
 userSchema.statics.findByWhatsApp = function(whatsapp) {
     return this.findOne({ whatsapp: whatsapp.trim() });
@@ -135,7 +181,7 @@ userSchema.statics.findByWhatsApp = function(whatsapp) {
 
 // Update stats method
 userSchema.methods.updateStats = function(result) {
-    this.stats.totalMatches += 1;
+    this.stats.matchesPlayed += 1;
     
     if (result === 'win') {
         this.stats.wins += 1;
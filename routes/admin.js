@@ -3,7 +3,8 @@ const Tournament = require('../models/Tournament');
 const Match = require('../models/Match');
 const User = require('../models/Users');
 const Payment = require('../models/Payment');
-const Leaderboard = require('../models/Leaderboard');
+const { verifyMatchResult } = require('../utils/results');
+const { registerPaidEntry } = require('../utils/waitlist');
 const router = express.Router();
 
 // @route   GET /api/admin/dashboard
@@ -132,6 +133,7 @@ router.get('/matches/pending', async (req, res) => {
         })
         .populate('tournament', 'name')
         .populate('player1.user player2.user', 'efootballId profile')
+        .populate('player1.evidence.uploadedBy player2.evidence.uploadedBy', 'efootballId')
         .sort({ createdAt: -1 });
 
         res.json({
@@ -150,11 +152,11 @@ router.get('/matches/pending', async (req, res) => {
 });
 
 // @route   POST /api/admin/matches/:id/verify
-// @desc    Verify match result
+// @desc    Verify match result, counting it in the stats exactly once
 // @access  Public (Temporary - Remove in production)
 router.post('/matches/:id/verify', async (req, res) => {
     try {
-        const match = await Match.findById(req.params.id);
+        const { match, changed } = await verifyMatchResult(req.params.id, req.user.id);
         
         if (!match) {
             return res.status(404).json({
@@ -163,35 +165,12 @@ router.post('/matches/:id/verify', async (req, res) => {
             });
         }
 
-        await match.verifyResult(req.user.id);
-        
-        // Update player stats
-        if (match.result.winner && !match.result.isDraw) {
-            const winner = await User.findById(match.result.winner);
-            const loser = await User.findById(match.result.loser);
-            
-            if (winner) await winner.updateStats('win');
-            if (loser) await loser.updateStats('loss');
-            
-            // Update leaderboard
-            await Leaderboard.updatePlayerStats(match.result.winner, 'win');
-            await Leaderboard.updatePlayerStats(match.result.loser, 'loss');
-        } else if (match.result.isDraw) {
-            const player1 = await User.findById(match.player1.user);
-            const player2 = await User.findById(match.player2.user);
-            
-            if (player1) await player1.updateStats('draw');
-            if (player2) await player2.updateStats('draw');
-            
-            await Leaderboard.updatePlayerStats(match.player1.user, 'draw');
-            await Leaderboard.updatePlayerStats(match.player2.user, 'draw');
-        }
-
         await match.populate('player1.user player2.user', 'efootballId profile');
 
         res.json({
             success: true,
-            message: 'Match result verified successfully',
+            message: changed ? 'Match result verified successfully' : 'Match result was already verified',
+            changed,
             match
         });
 
@@ -199,7 +178,7 @@ router.post('/matches/:id/verify', async (req, res) => {
         console.error('Verify match error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to verify match result',
+            message: error.message || 'Failed to verify match result',
             error: error.message
         });
     }
@@ -280,12 +259,8 @@ router.post('/payments/:id/process', async (req, res) => {
             await payment.markAsCompleted();
             
             // If this is a tournament entry fee, register the player
-            if (payment.type === 'entry_fee' && payment.tournament) {
-                const tournament = await Tournament.findById(payment.tournament);
-                if (tournament) {
-                    await tournament.addParticipant(payment.user);
-                }
-            }
+            await registerPaidEntry(payment)
+                .catch(error => console.error('Register paid entry error:', error));
         } else if (action === 'reject') {
             await payment.markAsFailed('Manually rejected by admin');
         }
@@ -4,6 +4,12 @@ const Tournament = require('../models/Tournament');
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
 const upload = require('../middleware/upload');
+const { processVerifiedMatch, findScheduleConflicts } = require('../utils/fixtureGenerator');
+const { getMatchSide } = require('../utils/teams');
+const { resolveMatchDispute } = require('../utils/disputes');
+const { flagRecycledEvidence, recordEvidenceHashes } = require('../utils/screenshots');
+const { verifyMatchResult, correctMatchResult, voidMatchResult } = require('../utils/results');
+const { getErrorStatus } = require('../utils/errors');
 const router = express.Router();
 
 // @route   GET /api/matches/my-matches
@@ -63,9 +69,12 @@ router.get('/tournament/:tournamentId', async (req, res) => {
 });
 
 // @route   POST /api/matches/:id/submit-score
-// @desc    Submit match score
+// @desc    Submit match score, with up to 5 evidence images (score screen, stats, lineups)
 // @access  Private
-router.post('/:id/submit-score', auth, upload.single('screenshot'), async (req, res) => {
+router.post('/:id/submit-score', auth, upload.fields([
+    { name: 'screenshot', maxCount: 1 },
+    { name: 'evidence', maxCount: 5 }
+]), async (req, res) => {
     try {
         const match = await Match.findById(req.params.id)
             .populate('player1.user player2.user', 'efootballId');
@@ -77,28 +86,49 @@ router.post('/:id/submit-score', auth, upload.single('screenshot'), async (req,
             });
         }
 
-        const { score } = req.body;
-        const screenshot = req.file ? req.file.path : null;
+        const { score, extraTimeScore, opponentExtraTimeScore, penalties, opponentPenalties } = req.body;
+        const files = req.files || {};
+        const evidence = [...(files.screenshot || []), ...(files.evidence || [])]
+            .map(file => ({ path: file.path, uploadedBy: req.user.id }));
 
-        // Check if user is a player in this match
-        const isPlayer1 = match.player1.user._id.toString() === req.user.id;
-        const isPlayer2 = match.player2.user._id.toString() === req.user.id;
+        // Check if user is a player in this match (or rostered for one of its teams)
+        const side = await getMatchSide(match, req.user.id);
 
-        if (!isPlayer1 && !isPlayer2) {
+        if (!side) {
             return res.status(403).json({
                 success: false,
                 message: 'You are not a player in this match'
             });
         }
 
+        // Extra time and shootout, for knockout matches that finish level
+        const toScore = (value) => (value === undefined || value === '' ? undefined : parseInt(value));
+        const decider = {
+            extraTimeScore: toScore(extraTimeScore),
+            opponentExtraTimeScore: toScore(opponentExtraTimeScore),
+            penalties: toScore(penalties),
+            opponentPenalties: toScore(opponentPenalties)
+        };
+
+        // Images reused from another match hold the result for an admin
+        await flagRecycledEvidence(match, side, evidence);
+
         // Submit score
-        await match.submitScore(req.user.id, parseInt(score), screenshot);
+        await match.submitScore(side, parseInt(score), evidence, [], decider);
+        await recordEvidenceHashes(match, evidence);
+
+        // Scores that agree are verified automatically
+        if (match.status === 'completed') {
+            await processVerifiedMatch(match);
+        }
 
         await match.populate('player1.user player2.user', 'efootballId profile');
 
         res.json({
             success: true,
-            message: 'Score submitted successfully',
+            message: match.status === 'disputed'
+                ? 'Score submitted - the result is held for an admin to review'
+                : 'Score submitted successfully',
             match
         });
 
@@ -113,11 +143,11 @@ router.post('/:id/submit-score', auth, upload.single('screenshot'), async (req,
 });
 
 // @route   POST /api/matches/:id/verify
-// @desc    Verify match result (Admin only)
+// @desc    Verify match result, counting it in the stats exactly once (Admin only)
 // @access  Private (Admin)
 router.post('/:id/verify', adminAuth, async (req, res) => {
     try {
-        const match = await Match.findById(req.params.id);
+        const { match, changed } = await verifyMatchResult(req.params.id, req.user.id);
         
         if (!match) {
             return res.status(404).json({
@@ -126,31 +156,153 @@ router.post('/:id/verify', adminAuth, async (req, res) => {
             });
         }
 
-        await match.verifyResult(req.user.id);
         await match.populate('player1.user player2.user', 'efootballId profile');
 
         res.json({
             success: true,
-            message: 'Match result verified successfully',
+            message: changed ? 'Match result verified successfully' : 'Match result was already verified',
+            changed,
             match
         });
 
     } catch (error) {
         console.error('Verify match error:', error);
-        res.status(500).json({
+        res.status(getErrorStatus(error)).json({
             success: false,
-            message: 'Failed to verify match result',
+            message: error.message || 'Failed to verify match result',
             error: error.message
         });
     }
 });
 
-// @route   PUT /api/matches/:id/reschedule
-// @desc    Reschedule match
+// @route   POST /api/matches/:id/disputes
+// @desc    Dispute a match result, with a reason and screenshots as evidence
 // @access  Private
-router.put('/:id/reschedule', auth, async (req, res) => {
+router.post('/:id/disputes', auth, upload.array('evidence', 5), async (req, res) => {
     try {
-        const { newTime } = req.body;
+        const { reason, description } = req.body;
+        const match = await Match.findById(req.params.id);
+
+        if (!match) {
+            return res.status(404).json({
+                success: false,
+                message: 'Match not found'
+            });
+        }
+
+        const side = await getMatchSide(match, req.user.id);
+
+        if (!side) {
+            return res.status(403).json({
+                success: false,
+                message: 'You are not a player in this match'
+            });
+        }
+
+        const evidence = (req.files || []).map(file => file.path);
+        await match.openDispute(side, req.user.id, { reason, description, evidence });
+        await match.populate('player1.user player2.user', 'efootballId profile');
+
+        res.status(201).json({
+            success: true,
+            message: 'Dispute opened; your opponent can now respond',
+            match
+        });
+
+    } catch (error) {
+        console.error('Open dispute error:', error);
+        res.status(getErrorStatus(error)).json({
+            success: false,
+            message: error.message || 'Failed to open dispute',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/matches/:id/disputes/respond
+// @desc    Respond to the opponent's dispute with a statement and evidence
+// @access  Private
+router.post('/:id/disputes/respond', auth, upload.array('evidence', 5), async (req, res) => {
+    try {
+        const { statement } = req.body;
+        const match = await Match.findById(req.params.id);
+
+        if (!match) {
+            return res.status(404).json({
+                success: false,
+                message: 'Match not found'
+            });
+        }
+
+        const side = await getMatchSide(match, req.user.id);
+
+        if (!side) {
+            return res.status(403).json({
+                success: false,
+                message: 'You are not a player in this match'
+            });
+        }
+
+        const evidence = (req.files || []).map(file => file.path);
+        await match.respondToDispute(side, req.user.id, { statement, evidence });
+        await match.populate('player1.user player2.user', 'efootballId profile');
+
+        res.json({
+            success: true,
+            message: 'Response recorded; an admin will review the dispute',
+            match
+        });
+
+    } catch (error) {
+        console.error('Respond to dispute error:', error);
+        res.status(getErrorStatus(error)).json({
+            success: false,
+            message: error.message || 'Failed to respond to dispute',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/matches/:id/disputes/resolve
+// @desc    Rule on a dispute: set the final score, order a replay or disqualify a player (Admin only)
+// @access  Private (Admin)
+router.post('/:id/disputes/resolve', adminAuth, async (req, res) => {
+    try {
+        const { decision, ...ruling } = req.body;
+        const match = await Match.findById(req.params.id);
+
+        if (!match) {
+            return res.status(404).json({
+                success: false,
+                message: 'Match not found'
+            });
+        }
+
+        await resolveMatchDispute(match, req.user.id, decision, ruling);
+        await match.populate('player1.user player2.user', 'efootballId profile');
+
+        res.json({
+            success: true,
+            message: 'Dispute resolved',
+            match
+        });
+
+    } catch (error) {
+        console.error('Resolve dispute error:', error);
+        res.status(getErrorStatus(error)).json({
+            success: false,
+            message: error.message || 'Failed to resolve dispute',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/matches/:id/reschedule
+// @desc    Propose new times for a match (the opponent must agree)
+// @access  Private
+router.post('/:id/reschedule', auth, async (req, res) => {
+    try {
+        const { proposedTimes, reason } = req.body;
         const match = await Match.findById(req.params.id);
         
         if (!match) {
@@ -160,33 +312,238 @@ router.put('/:id/reschedule', auth, async (req, res) => {
             });
         }
 
-        // Check if user is a player in this match
-        const isPlayer = match.player1.user.toString() === req.user.id || 
-                         match.player2.user.toString() === req.user.id;
+        // Check if user is a player in this match (or rostered for one of its teams)
+        const side = await getMatchSide(match, req.user.id);
 
-        if (!isPlayer) {
+        if (!side) {
             return res.status(403).json({
                 success: false,
                 message: 'You are not a player in this match'
             });
         }
 
-        match.scheduledTime = new Date(newTime);
-        await match.save();
+        await match.proposeReschedule(side, req.user.id, proposedTimes, reason);
+
+        await match.populate('player1.user player2.user', 'efootballId profile');
+
+        res.status(201).json({
+            success: true,
+            message: 'Reschedule request sent to your opponent',
+            match
+        });
+
+    } catch (error) {
+        console.error('Propose reschedule error:', error);
+        res.status(getErrorStatus(error)).json({
+            success: false,
+            message: error.message || 'Failed to request reschedule',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/matches/:id/reschedule/respond
+// @desc    Accept, reject or counter the opponent's reschedule request
+// @access  Private
+router.post('/:id/reschedule/respond', auth, async (req, res) => {
+    try {
+        const { action, time, proposedTimes, reason } = req.body;
+        const match = await Match.findById(req.params.id);
+        
+        if (!match) {
+            return res.status(404).json({
+                success: false,
+                message: 'Match not found'
+            });
+        }
+
+        const side = await getMatchSide(match, req.user.id);
+
+        if (!side) {
+            return res.status(403).json({
+                success: false,
+                message: 'You are not a player in this match'
+            });
+        }
+
+        await match.respondToReschedule(side, req.user.id, action, { time, proposedTimes, reason });
+
+        await match.populate('player1.user player2.user', 'efootballId profile');
+
+        const messages = {
+            accept: 'Match rescheduled successfully',
+            reject: 'Reschedule request rejected',
+            counter: 'Counter-proposal sent to your opponent'
+        };
+
+        res.json({
+            success: true,
+            message: messages[action],
+            match
+        });
+
+    } catch (error) {
+        console.error('Respond to reschedule error:', error);
+        res.status(getErrorStatus(error)).json({
+            success: false,
+            message: error.message || 'Failed to respond to reschedule request',
+            error: error.message
+        });
+    }
+});
+
+// @route   PUT /api/matches/:id/reschedule
+// @desc    Set a new match time directly, overriding any open request (Admin only)
+// @access  Private (Admin)
+router.put('/:id/reschedule', adminAuth, async (req, res) => {
+    try {
+        const { newTime } = req.body;
+        const match = await Match.findById(req.params.id);
+        
+        if (!match) {
+            return res.status(404).json({
+                success: false,
+                message: 'Match not found'
+            });
+        }
+
+        await match.overrideSchedule(req.user.id, newTime);
+
+        const tournament = await Tournament.findById(match.tournament);
+        const conflicts = tournament ? await findScheduleConflicts(match, tournament) : [];
 
         await match.populate('player1.user player2.user', 'efootballId profile');
 
         res.json({
             success: true,
             message: 'Match rescheduled successfully',
-            match
+            match,
+            conflicts
         });
 
     } catch (error) {
         console.error('Reschedule match error:', error);
+        res.status(getErrorStatus(error)).json({
+            success: false,
+            message: error.message || 'Failed to reschedule match',
+            error: error.message
+        });
+    }
+});
+
+// @route   PUT /api/matches/:id/result
+// @desc    Correct the score of a verified match and recompute everything derived from it (Admin only)
+// @access  Private (Admin)
+router.put('/:id/result', adminAuth, async (req, res) => {
+    try {
+        const { player1Score, player2Score, player1Penalties, player2Penalties, reason } = req.body;
+        const match = await Match.findById(req.params.id);
+
+        if (!match) {
+            return res.status(404).json({
+                success: false,
+                message: 'Match not found'
+            });
+        }
+
+        await correctMatchResult(match, req.user.id, { player1Score, player2Score, player1Penalties, player2Penalties, reason });
+        await match.populate('player1.user player2.user', 'efootballId profile');
+
+        res.json({
+            success: true,
+            message: 'Match result corrected',
+            match
+        });
+
+    } catch (error) {
+        console.error('Correct match result error:', error);
+        res.status(getErrorStatus(error)).json({
+            success: false,
+            message: error.message || 'Failed to correct match result',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/matches/:id/void
+// @desc    Void a verified match so it no longer counts (Admin only)
+// @access  Private (Admin)
+router.post('/:id/void', adminAuth, async (req, res) => {
+    try {
+        const match = await Match.findById(req.params.id);
+
+        if (!match) {
+            return res.status(404).json({
+                success: false,
+                message: 'Match not found'
+            });
+        }
+
+        await voidMatchResult(match, req.user.id, req.body.reason);
+        await match.populate('player1.user player2.user', 'efootballId profile');
+
+        res.json({
+            success: true,
+            message: 'Match voided',
+            match
+        });
+
+    } catch (error) {
+        console.error('Void match error:', error);
+        res.status(getErrorStatus(error)).json({
+            success: false,
+            message: error.message || 'Failed to void match',
+            error: error.message
+        });
+    }
+});
+
+// @route   PUT /api/matches/:id
+// @desc    Update match details (Admin only), reporting any scheduling conflicts
+// @access  Private (Admin)
+router.put('/:id', adminAuth, async (req, res) => {
+    try {
+        const match = await Match.findById(req.params.id);
+        
+        if (!match) {
+            return res.status(404).json({
+                success: false,
+                message: 'Match not found'
+            });
+        }
+
+        // Update match fields
+        Object.keys(req.body).forEach(key => {
+            if (['scheduledTime', 'deadline', 'round', 'adminNotes'].includes(key)) {
+                match[key] = req.body[key];
+            }
+        });
+
+        await match.save();
+
+        // Admins may still keep a clashing time, so conflicts are reported rather than refused
+        let conflicts = [];
+        if (req.body.scheduledTime) {
+            const tournament = await Tournament.findById(match.tournament);
+            conflicts = tournament ? await findScheduleConflicts(match, tournament) : [];
+        }
+
+        await match.populate('player1.user player2.user', 'efootballId profile');
+
+        res.json({
+            success: true,
+            message: conflicts.length > 0
+                ? `Match updated with ${conflicts.length} scheduling conflict(s)`
+                : 'Match updated successfully',
+            match,
+            conflicts
+        });
+
+    } catch (error) {
+        console.error('Update match error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to reschedule match',
+            message: 'Failed to update match',
             error: error.message
         });
     }
@@ -203,6 +560,7 @@ router.get('/admin/pending', adminAuth, async (req, res) => {
         })
         .populate('tournament', 'name')
         .populate('player1.user player2.user', 'efootballId profile')
+        .populate('player1.evidence.uploadedBy player2.evidence.uploadedBy', 'efootballId')
         .sort({ createdAt: -1 });
 
         res.json({
@@ -220,4 +578,33 @@ router.get('/admin/pending', adminAuth, async (req, res) => {
     }
 });
 
+// @route   GET /api/matches/admin/disputes
+// @desc    Get matches with a dispute awaiting a ruling (Admin only)
+// @access  Private (Admin)
+router.get('/admin/disputes', adminAuth, async (req, res) => {
+    try {
+        const matches = await Match.find({
+            'disputes.status': { $in: ['open', 'under_review'] }
+        })
+        .populate('tournament', 'name')
+        .populate('player1.user player2.user', 'efootballId profile')
+        .populate('player1.evidence.uploadedBy player2.evidence.uploadedBy', 'efootballId')
+        .populate('disputes.raisedBy disputes.response.respondedBy', 'efootballId')
+        .sort({ updatedAt: 1 });
+
+        res.json({
+            success: true,
+            matches
+        });
+
+    } catch (error) {
+        console.error('Get disputes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch disputes',
+            error: error.message
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
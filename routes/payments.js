@@ -3,6 +3,7 @@ const Payment = require('../models/Payment');
 const Tournament = require('../models/Tournament');
 const User = require('../models/Users');
 const mpesaService = require('../utils/mpesa');
+const { registerPaidEntry } = require('../utils/waitlist');
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
 const router = express.Router();
@@ -43,6 +44,23 @@ router.post('/initiate', auth, async (req, res) => {
             });
         }
 
+        // Qualifiers may have earned a free entry
+        if (tournament.hasFeeWaiver(req.user.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Your entry fee has been waived - join the tournament directly'
+            });
+        }
+
+        // Once full, only players offered a place from the waitlist can pay
+        const hasOffer = tournament.waitlist.some(w => w.offerExpiresAt && w.player.toString() === req.user.id.toString());
+        if (!hasOffer && !tournament.hasOpenPlace()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Tournament is full - join the waitlist to be offered a place'
+            });
+        }
+
         // Validate phone number
         const cleanPhone = phoneNumber.replace(/\s/g, '');
         if (!/^(07\d{8}|2547\d{8}|\+2547\d{8})$/.test(cleanPhone)) {
@@ -104,6 +122,12 @@ router.post('/callback', async (req, res) => {
         
         // Process the callback
         const result = await mpesaService.handleCallback(callbackData);
+
+        // Register player for tournament if this is an entry fee
+        if (result.success && result.payment) {
+            await registerPaidEntry(result.payment)
+                .catch(error => console.error('Register paid entry error:', error));
+        }
         
         if (result.success) {
             res.status(200).json({
@@ -167,12 +191,8 @@ router.get('/status/:checkoutRequestID', auth, async (req, res) => {
             });
 
             // Register player for tournament if this is an entry fee
-            if (payment.type === 'entry_fee' && payment.tournament) {
-                const tournament = await Tournament.findById(payment.tournament);
-                if (tournament) {
-                    await tournament.addParticipant(payment.user);
-                }
-            }
+            await registerPaidEntry(payment)
+                .catch(error => console.error('Register paid entry error:', error));
         }
 
         res.json({
@@ -0,0 +1,264 @@
+const express = require('express');
+const Season = require('../models/Season');
+const Tournament = require('../models/Tournament');
+const Leaderboard = require('../models/Leaderboard');
+const adminAuth = require('../middleware/adminAuth');
+const { getSeasonQuery, awardSeasonPoints, updateSeasonStandings } = require('../utils/seasons');
+const router = express.Router();
+
+// @route   GET /api/seasons
+// @desc    Get all seasons
+// @access  Public
+router.get('/', async (req, res) => {
+    try {
+        const { status } = req.query;
+        const query = status && status !== 'all' ? { status } : {};
+
+        const seasons = await Season.find(query)
+            .select('-results')
+            .populate('tournaments', 'name status format schedule')
+            .sort('-startDate');
+
+        res.json({
+            success: true,
+            seasons
+        });
+
+    } catch (error) {
+        console.error('Get seasons error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch seasons',
+            error: error.message
+        });
+    }
+});
+
+// @route   GET /api/seasons/:id/standings
+// @desc    Get season standings by circuit points
+// @access  Public
+router.get('/:id/standings', async (req, res) => {
+    try {
+        const { page = 1, limit = 50 } = req.query;
+        const season = await Season.findById(req.params.id).select('-results');
+
+        if (!season) {
+            return res.status(404).json({
+                success: false,
+                message: 'Season not found'
+            });
+        }
+
+        const { type, period } = getSeasonQuery(season);
+        const standings = await Leaderboard.getLeaderboard(type, period, parseInt(limit), parseInt(page));
+        const total = await Leaderboard.countDocuments({ type, period });
+
+        res.json({
+            success: true,
+            season,
+            standings,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get season standings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch season standings',
+            error: error.message
+        });
+    }
+});
+
+// @route   GET /api/seasons/:id/history
+// @desc    Get the points awarded at each of the season's events (optionally for one player)
+// @access  Public
+router.get('/:id/history', async (req, res) => {
+    try {
+        const { player } = req.query;
+        const season = await Season.findById(req.params.id)
+            .populate('results.tournament', 'name schedule')
+            .populate('results.player', 'efootballId profile');
+
+        if (!season) {
+            return res.status(404).json({
+                success: false,
+                message: 'Season not found'
+            });
+        }
+
+        const events = new Map();
+        season.results
+            .filter(r => !player || (r.player && r.player._id.toString() === player))
+            .forEach(result => {
+                if (!result.tournament) return;
+
+                const key = result.tournament._id.toString();
+                if (!events.has(key)) {
+                    events.set(key, { tournament: result.tournament, results: [] });
+                }
+                events.get(key).results.push({
+                    player: result.player,
+                    position: result.position,
+                    points: result.points
+                });
+            });
+
+        const startOf = (event) => new Date(event.tournament.schedule && event.tournament.schedule.tournamentStart || 0);
+        const history = [...events.values()]
+            .map(event => ({ ...event, results: event.results.sort((a, b) => a.position - b.position) }))
+            .sort((a, b) => startOf(a) - startOf(b));
+
+        res.json({
+            success: true,
+            history
+        });
+
+    } catch (error) {
+        console.error('Get season history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch season history',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/seasons
+// @desc    Create a season (Admin only)
+// @access  Private (Admin)
+router.post('/', adminAuth, async (req, res) => {
+    try {
+        const { name, description, type, startDate, endDate, pointsTable, participationPoints, prizes } = req.body;
+
+        const season = new Season({
+            name,
+            description,
+            type,
+            startDate: startDate ? new Date(startDate) : undefined,
+            endDate: endDate ? new Date(endDate) : undefined,
+            pointsTable,
+            participationPoints,
+            prizes
+        });
+
+        await season.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Season created successfully',
+            season
+        });
+
+    } catch (error) {
+        console.error('Create season error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create season',
+            error: error.message
+        });
+    }
+});
+
+// @route   PUT /api/seasons/:id
+// @desc    Update a season; a new points table is applied to past events too (Admin only)
+// @access  Private (Admin)
+router.put('/:id', adminAuth, async (req, res) => {
+    try {
+        const season = await Season.findById(req.params.id);
+
+        if (!season) {
+            return res.status(404).json({
+                success: false,
+                message: 'Season not found'
+            });
+        }
+
+        ['name', 'description', 'endDate', 'status', 'pointsTable', 'participationPoints', 'prizes'].forEach(key => {
+            if (req.body[key] !== undefined) {
+                season[key] = req.body[key];
+            }
+        });
+
+        // Re-score past events against the new table
+        season.results.forEach(result => {
+            result.points = season.getPointsFor(result.position);
+        });
+
+        await season.save();
+        await updateSeasonStandings(season);
+
+        res.json({
+            success: true,
+            message: 'Season updated successfully',
+            season
+        });
+
+    } catch (error) {
+        console.error('Update season error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update season',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/seasons/:id/tournaments
+// @desc    Add a tournament to a season (Admin only)
+// @access  Private (Admin)
+router.post('/:id/tournaments', adminAuth, async (req, res) => {
+    try {
+        const { tournamentId } = req.body;
+        const season = await Season.findById(req.params.id);
+        const tournament = await Tournament.findById(tournamentId);
+
+        if (!season || !tournament) {
+            return res.status(404).json({
+                success: false,
+                message: !season ? 'Season not found' : 'Tournament not found'
+            });
+        }
+
+        if (tournament.season && tournament.season.toString() !== season._id.toString()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Tournament already belongs to another season'
+            });
+        }
+
+        tournament.season = season._id;
+        await tournament.save();
+
+        if (!season.tournaments.some(t => t.toString() === tournament._id.toString())) {
+            season.tournaments.push(tournament._id);
+            await season.save();
+        }
+
+        // A tournament that has already finished scores straight away
+        if (tournament.status === 'completed' && tournament.winners.length > 0) {
+            await awardSeasonPoints(tournament);
+        }
+
+        res.json({
+            success: true,
+            message: 'Tournament added to season',
+            season: await Season.findById(season._id).select('-results').populate('tournaments', 'name status format schedule')
+        });
+
+    } catch (error) {
+        console.error('Add season tournament error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add tournament to season',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,240 @@
+const express = require('express');
+const Team = require('../models/Team');
+const User = require('../models/Users');
+const auth = require('../middleware/auth');
+const { getErrorStatus } = require('../utils/errors');
+const router = express.Router();
+
+// @route   POST /api/teams
+// @desc    Create a team captained by the current user
+// @access  Private
+router.post('/', auth, async (req, res) => {
+    try {
+        const { name, tag, maxMembers } = req.body;
+
+        const existingTeam = await Team.findOne({ name: name && name.trim() });
+        if (existingTeam) {
+            return res.status(400).json({
+                success: false,
+                message: 'Team name is already taken'
+            });
+        }
+
+        const team = new Team({
+            name,
+            tag,
+            maxMembers,
+            captain: req.user.id,
+            members: [{ user: req.user.id }]
+        });
+
+        await team.save();
+        await team.populate('captain members.user', 'efootballId profile');
+
+        res.status(201).json({
+            success: true,
+            message: 'Team created successfully',
+            team
+        });
+
+    } catch (error) {
+        console.error('Create team error:', error);
+        res.status(getErrorStatus(error)).json({
+            success: false,
+            message: 'Failed to create team',
+            error: error.message
+        });
+    }
+});
+
+// @route   GET /api/teams/mine
+// @desc    Get the current user's teams and pending invites
+// @access  Private
+router.get('/mine', auth, async (req, res) => {
+    try {
+        const teams = await Team.findByMember(req.user.id);
+        const invites = await Team.find({
+            isActive: true,
+            invites: { $elemMatch: { user: req.user.id, status: 'pending' } }
+        })
+            .select('name tag captain')
+            .populate('captain', 'efootballId profile');
+
+        res.json({
+            success: true,
+            teams,
+            invites
+        });
+
+    } catch (error) {
+        console.error('Get my teams error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch teams',
+            error: error.message
+        });
+    }
+});
+
+// @route   GET /api/teams/:id
+// @desc    Get team details and roster
+// @access  Public
+router.get('/:id', async (req, res) => {
+    try {
+        const team = await Team.findById(req.params.id)
+            .select('-invites')
+            .populate('captain members.user', 'efootballId profile stats');
+
+        if (!team) {
+            return res.status(404).json({
+                success: false,
+                message: 'Team not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            team
+        });
+
+    } catch (error) {
+        console.error('Get team error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch team',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/teams/:id/invites
+// @desc    Invite a player to the team (Captain only)
+// @access  Private
+router.post('/:id/invites', auth, async (req, res) => {
+    try {
+        const { efootballId } = req.body;
+        const team = await Team.findById(req.params.id);
+
+        if (!team || !team.isActive) {
+            return res.status(404).json({
+                success: false,
+                message: 'Team not found'
+            });
+        }
+
+        if (team.captain.toString() !== req.user.id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the team captain can invite players'
+            });
+        }
+
+        const player = await User.findOne({ efootballId });
+        if (!player) {
+            return res.status(404).json({
+                success: false,
+                message: 'Player not found'
+            });
+        }
+
+        await team.invite(player._id, req.user.id);
+
+        res.json({
+            success: true,
+            message: `Invite sent to ${player.efootballId}`
+        });
+
+    } catch (error) {
+        console.error('Invite player error:', error);
+        res.status(getErrorStatus(error)).json({
+            success: false,
+            message: error.message || 'Failed to invite player',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/teams/:id/invites/respond
+// @desc    Accept or decline an invite to the team
+// @access  Private
+router.post('/:id/invites/respond', auth, async (req, res) => {
+    try {
+        const { accept } = req.body;
+        const team = await Team.findById(req.params.id);
+
+        if (!team || !team.isActive) {
+            return res.status(404).json({
+                success: false,
+                message: 'Team not found'
+            });
+        }
+
+        if (typeof accept !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'Accept must be true or false'
+            });
+        }
+
+        await team.respondToInvite(req.user.id, accept);
+        await team.populate('captain members.user', 'efootballId profile');
+
+        res.json({
+            success: true,
+            message: accept ? 'You have joined the team' : 'Invite declined',
+            team
+        });
+
+    } catch (error) {
+        console.error('Respond to invite error:', error);
+        res.status(getErrorStatus(error)).json({
+            success: false,
+            message: error.message || 'Failed to respond to invite',
+            error: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/teams/:id/members/:userId
+// @desc    Remove a member (Captain only), or leave the team
+// @access  Private
+router.delete('/:id/members/:userId', auth, async (req, res) => {
+    try {
+        const team = await Team.findById(req.params.id);
+
+        if (!team) {
+            return res.status(404).json({
+                success: false,
+                message: 'Team not found'
+            });
+        }
+
+        const isCaptain = team.captain.toString() === req.user.id.toString();
+        const isSelf = req.params.userId === req.user.id.toString();
+        if (!isCaptain && !isSelf) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the team captain can remove other members'
+            });
+        }
+
+        await team.removeMember(req.params.userId);
+        await team.populate('captain members.user', 'efootballId profile');
+
+        res.json({
+            success: true,
+            message: isSelf ? 'You have left the team' : 'Member removed from the team',
+            team
+        });
+
+    } catch (error) {
+        console.error('Remove team member error:', error);
+        res.status(getErrorStatus(error)).json({
+            success: false,
+            message: error.message || 'Failed to remove team member',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
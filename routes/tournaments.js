@@ -1,8 +1,12 @@
 const express = require('express');
 const Tournament = require('../models/Tournament');
 const Match = require('../models/Match');
+const Team = require('../models/Team');
 const auth = require('../middleware/auth');
 const adminAuth = require('../middleware/adminAuth');
+const { getLadder, createChallenge, respondToChallenge } = require('../utils/ladder');
+const { getErrorStatus } = require('../utils/errors');
+const { promoteFromWaitlist } = require('../utils/waitlist');
 const router = express.Router();
 
 // @route   GET /api/tournaments
@@ -203,6 +207,93 @@ router.put('/:id', adminAuth, async (req, res) => {
     }
 });
 
+// @route   PUT /api/tournaments/:id/seeds
+// @desc    Set manual seeds for participants (Admin only)
+// @access  Private (Admin)
+router.put('/:id/seeds', adminAuth, async (req, res) => {
+    try {
+        const { seeds = [] } = req.body; // [{ player, seed }]
+        const tournament = await Tournament.findById(req.params.id);
+
+        if (!tournament) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tournament not found'
+            });
+        }
+
+        if (!['draft', 'upcoming'].includes(tournament.status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Seeds can only be changed before the tournament starts'
+            });
+        }
+
+        // Seeds from before the switch to manual seeding are not the admin's
+        if (tournament.settings.seedingMode !== 'manual') {
+            tournament.participants.forEach(p => {
+                p.seed = undefined;
+            });
+        }
+
+        const updates = [];
+        for (const { player, seed } of seeds) {
+            const participant = tournament.participants.find(p => p.player.toString() === String(player));
+
+            if (!participant) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Player ${player} is not registered for this tournament`
+                });
+            }
+
+            if (!Number.isInteger(seed) || seed < 1) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Seeds must be whole numbers starting from 1'
+                });
+            }
+
+            updates.push({ participant, seed });
+        }
+
+        // Seeds stay unique across the players seeded now and those seeded before
+        const reseeded = new Set(updates.map(update => update.participant));
+        const usedSeeds = tournament.participants
+            .filter(p => !reseeded.has(p) && p.seed)
+            .map(p => p.seed)
+            .concat(updates.map(update => update.seed));
+        if (new Set(usedSeeds).size < usedSeeds.length || reseeded.size < updates.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Each seed and each player can only be used once'
+            });
+        }
+
+        updates.forEach(({ participant, seed }) => {
+            participant.seed = seed;
+        });
+
+        tournament.settings.seedingMode = 'manual';
+        await tournament.save();
+        await tournament.populate('participants.player', 'efootballId profile');
+
+        res.json({
+            success: true,
+            message: 'Seeds updated successfully',
+            tournament
+        });
+
+    } catch (error) {
+        console.error('Update seeds error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update seeds',
+            error: error.message
+        });
+    }
+});
+
 // @route   POST /api/tournaments/:id/join
 // @desc    Join a tournament
 // @access  Private
@@ -217,7 +308,9 @@ router.post('/:id/join', auth, async (req, res) => {
             });
         }
 
-        if (tournament.status !== 'upcoming') {
+        // Ladders stay open to new players while they run
+        const isOpenLadder = tournament.format === 'ladder' && tournament.status === 'active';
+        if (tournament.status !== 'upcoming' && !isOpenLadder) {
             return res.status(400).json({
                 success: false,
                 message: 'Cannot join tournament - registration closed'
@@ -240,9 +333,63 @@ router.post('/:id/join', auth, async (req, res) => {
             });
         }
 
+        // Team tournaments are entered by a team's captain
+        let team = null;
+        if (tournament.participantType === 'team') {
+            team = await Team.findById(req.body.team);
+
+            if (!team || !team.isActive) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Team not found'
+                });
+            }
+
+            if (team.captain.toString() !== req.user.id.toString()) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Only the team captain can enter the team'
+                });
+            }
+
+            if (team.memberCount < tournament.settings.teamSize) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Team needs at least ${tournament.settings.teamSize} players to enter`
+                });
+            }
+
+            // A player can only play for one team in a tournament
+            const enteredTeams = tournament.participants.filter(p => p.team).map(p => p.team);
+            const memberAlreadyEntered = await Team.exists({
+                _id: { $in: enteredTeams },
+                'members.user': { $in: team.members.map(m => m.user) }
+            });
+            if (memberAlreadyEntered) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A member of this team already plays for another team in this tournament'
+                });
+            }
+        }
+
+        // A full tournament takes the player onto its waitlist instead
+        if (!tournament.hasOpenPlace()) {
+            await tournament.joinWaitlist(req.user.id, team ? team._id : null);
+            const position = tournament.waitlist.findIndex(w => w.player.toString() === req.user.id.toString()) + 1;
+
+            return res.json({
+                success: true,
+                message: `Tournament is full - you are number ${position} on the waitlist`,
+                waitlisted: true,
+                position
+            });
+        }
+
         // Add participant
-        await tournament.addParticipant(req.user.id);
+        await tournament.addParticipant(req.user.id, team ? team._id : null);
         await tournament.populate('participants.player', 'efootballId profile');
+        await tournament.populate('participants.team', 'name tag');
 
         res.json({
             success: true,
@@ -281,8 +428,20 @@ router.post('/:id/leave', auth, async (req, res) => {
             });
         }
 
-        // Remove participant
+        // Waitlisted players just give up their spot in line
+        const isWaitlisted = tournament.waitlist.some(w => w.player.toString() === req.user.id.toString());
+        if (isWaitlisted) {
+            await tournament.leaveWaitlist(req.user.id);
+
+            return res.json({
+                success: true,
+                message: 'Successfully left the waitlist'
+            });
+        }
+
+        // Remove participant; the next waitlisted player takes their place
         await tournament.removeParticipant(req.user.id);
+        await promoteFromWaitlist(tournament, [req.user.id]);
         await tournament.populate('participants.player', 'efootballId profile');
 
         res.json({
@@ -301,6 +460,59 @@ router.post('/:id/leave', auth, async (req, res) => {
     }
 });
 
+// @route   POST /api/tournaments/:id/check-in
+// @desc    Check in for a tournament during its check-in window
+// @access  Private
+router.post('/:id/check-in', auth, async (req, res) => {
+    try {
+        const tournament = await Tournament.findById(req.params.id);
+        
+        if (!tournament) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tournament not found'
+            });
+        }
+
+        if (tournament.checkInStatus === 'disabled') {
+            return res.status(400).json({
+                success: false,
+                message: 'This tournament does not use check-in'
+            });
+        }
+
+        // The window may have passed before the background job got to it
+        if (tournament.checkInStatus === 'closed') {
+            await tournament.closeCheckIn();
+            return res.status(400).json({
+                success: false,
+                message: 'Check-in has closed'
+            });
+        }
+
+        await tournament.checkInParticipant(req.user.id);
+
+        const isWaitlisted = !tournament.participants.some(p => p.player.toString() === req.user.id.toString());
+
+        res.json({
+            success: true,
+            message: isWaitlisted
+                ? 'Checked in - you will take the place of a player who does not check in'
+                : 'Successfully checked in',
+            checkInStatus: tournament.checkInStatus,
+            checkInClosesAt: new Date(tournament.schedule.tournamentStart.getTime() - tournament.checkIn.closesMinutesBefore * 60 * 1000)
+        });
+
+    } catch (error) {
+        console.error('Check-in error:', error);
+        res.status(getErrorStatus(error)).json({
+            success: false,
+            message: error.message || 'Failed to check in',
+            error: error.message
+        });
+    }
+});
+
 // @route   GET /api/tournaments/:id/standings
 // @desc    Get tournament standings/leaderboard
 // @access  Public
@@ -366,4 +578,126 @@ router.get('/:id/standings', async (req, res) => {
     }
 });
 
+// @route   GET /api/tournaments/:id/ladder
+// @desc    Get ladder positions and open challenges
+// @access  Public
+router.get('/:id/ladder', async (req, res) => {
+    try {
+        const tournament = await Tournament.findById(req.params.id);
+
+        if (!tournament || tournament.format !== 'ladder') {
+            return res.status(404).json({
+                success: false,
+                message: 'Ladder not found'
+            });
+        }
+
+        const ladder = await getLadder(tournament);
+        const challenges = await Match.find({
+            tournament: tournament._id,
+            'challenge.challenger': { $exists: true },
+            status: { $in: ['pending', 'scheduled', 'in_progress', 'disputed'] }
+        })
+            .populate('player1.user', 'efootballId profile')
+            .populate('player2.user', 'efootballId profile')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            ladder,
+            challenges
+        });
+
+    } catch (error) {
+        console.error('Get ladder error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch ladder',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/tournaments/:id/challenges
+// @desc    Challenge a player higher up the ladder
+// @access  Private
+router.post('/:id/challenges', auth, async (req, res) => {
+    try {
+        const { opponent } = req.body;
+        const tournament = await Tournament.findById(req.params.id);
+
+        if (!tournament) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tournament not found'
+            });
+        }
+
+        if (!opponent) {
+            return res.status(400).json({
+                success: false,
+                message: 'Opponent is required'
+            });
+        }
+
+        const match = await createChallenge(tournament, req.user.id, opponent);
+        await match.populate('player1.user player2.user', 'efootballId profile');
+
+        res.status(201).json({
+            success: true,
+            message: 'Challenge sent successfully',
+            match
+        });
+
+    } catch (error) {
+        console.error('Create challenge error:', error);
+        res.status(getErrorStatus(error)).json({
+            success: false,
+            message: error.message || 'Failed to create challenge',
+            error: error.message
+        });
+    }
+});
+
+// @route   POST /api/tournaments/:id/challenges/:matchId/respond
+// @desc    Accept or decline a ladder challenge (declining forfeits it)
+// @access  Private
+router.post('/:id/challenges/:matchId/respond', auth, async (req, res) => {
+    try {
+        const { accept, scheduledTime } = req.body;
+        const match = await Match.findOne({ _id: req.params.matchId, tournament: req.params.id });
+
+        if (!match) {
+            return res.status(404).json({
+                success: false,
+                message: 'Challenge not found'
+            });
+        }
+
+        if (typeof accept !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'Accept must be true or false'
+            });
+        }
+
+        await respondToChallenge(match, req.user.id, accept, scheduledTime ? new Date(scheduledTime) : null);
+        await match.populate('player1.user player2.user', 'efootballId profile');
+
+        res.json({
+            success: true,
+            message: accept ? 'Challenge accepted' : 'Challenge declined and forfeited',
+            match
+        });
+
+    } catch (error) {
+        console.error('Respond to challenge error:', error);
+        res.status(getErrorStatus(error)).json({
+            success: false,
+            message: error.message || 'Failed to respond to challenge',
+            error: error.message
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -5,6 +5,8 @@ const path = require('path');
 const fs = require('fs');
 const auth = require('../middleware/auth');
 const User = require('../models/Users');
+const Match = require('../models/Match');
+const { buildPlayerCalendar } = require('../utils/calendar');
 
 // Create uploads directory if it doesn't exist
 const uploadDir = path.join(__dirname, '../uploads/avatars');
@@ -166,4 +168,114 @@ router.put('/profile', auth, async (req, res) => {
     }
 });
 
+// @route   PUT /api/users/availability
+// @desc    Set weekly availability windows used when scheduling matches
+// @access  Private
+router.put('/availability', auth, async (req, res) => {
+    const { availability = [], timezone } = req.body; // [{ day, start, end }]
+
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        if (!Array.isArray(availability)) {
+            return res.status(400).json({ message: 'Availability must be a list of weekly windows' });
+        }
+
+        user.availability = availability;
+        if (timezone) user.timezone = timezone;
+
+        await user.save();
+
+        res.json({
+            message: 'Availability updated successfully',
+            availability: user.availability,
+            timezone: user.timezone
+        });
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ message: Object.values(err.errors)[0].message });
+        }
+        console.error('Error updating availability:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// Matches that belong in a player's calendar
+const CALENDAR_STATUSES = ['scheduled', 'in_progress'];
+
+// Feed URL for a calendar token
+const getCalendarUrl = (req, token) => `${req.protocol}://${req.get('host')}/api/users/calendar/${token}.ics`;
+
+// @route   GET /api/users/calendar
+// @desc    Get the URL of the current user's fixtures calendar feed
+// @access  Private
+router.get('/calendar', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('+calendarToken');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        if (!user.calendarToken) {
+            await user.generateCalendarToken();
+        }
+
+        res.json({ url: getCalendarUrl(req, user.calendarToken) });
+    } catch (err) {
+        console.error('Error fetching calendar feed:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   POST /api/users/calendar/reset
+// @desc    Replace the calendar feed URL, e.g. after it was shared by mistake
+// @access  Private
+router.post('/calendar/reset', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        await user.generateCalendarToken();
+
+        res.json({
+            message: 'Calendar feed URL replaced - subscribe to the new one',
+            url: getCalendarUrl(req, user.calendarToken)
+        });
+    } catch (err) {
+        console.error('Error resetting calendar feed:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
+// @route   GET /api/users/calendar/:token.ics
+// @desc    Fixtures calendar feed; the token in the URL stands in for a login
+// @access  Public
+router.get('/calendar/:token.ics', async (req, res) => {
+    try {
+        const user = await User.findOne({ calendarToken: req.params.token });
+        if (!user) {
+            return res.status(404).json({ message: 'Calendar not found' });
+        }
+
+        const matches = await Match.findByPlayer(user._id)
+            .where('status').in(CALENDAR_STATUSES)
+            .sort('scheduledTime');
+
+        res.set({
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': 'inline; filename="fixtures.ics"',
+            'Cache-Control': 'no-cache'
+        });
+        res.send(buildPlayerCalendar(user, matches));
+    } catch (err) {
+        console.error('Error building calendar feed:', err);
+        res.status(500).json({ message: 'Server error' });
+    }
+});
+
 module.exports = router;
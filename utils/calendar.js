@@ -0,0 +1,97 @@
+// Builds iCalendar (RFC 5545) feeds of a player's fixtures
+
+// Length of a calendar event; populated matches do not carry their tournament's fixture settings
+const EVENT_MINUTES = 30;
+
+// Where a calendar event links back to the match
+const MATCH_URL = `${process.env.FRONTEND_URL || 'https://tonakikwetu.netlify.app'}/matches`;
+
+/**
+ * Builds a calendar of a player's matches. Each event keeps the match id as
+ * its UID and its last update as its SEQUENCE, so calendar apps move an
+ * event when the match is rescheduled rather than adding a new one.
+ * @param {Object} user - The player whose calendar it is
+ * @param {Array} matches - Their matches, with players and tournament populated
+ * @returns {String} The .ics file contents
+ */
+const buildPlayerCalendar = (user, matches) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//TONA KIKWETU//Fixtures//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(`${user.efootballId} fixtures`)}`
+    ];
+
+    matches.forEach(match => {
+        lines.push(...buildMatchEvent(user, match));
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * VEVENT lines for one match, as seen by the given player
+ */
+const buildMatchEvent = (user, match) => {
+    const isPlayer1 = Boolean(match.player1.user) && match.player1.user._id.toString() === user._id.toString();
+    const opponent = isPlayer1 ? match.player2.user : match.player1.user;
+    const opponentName = opponent ? opponent.efootballId : 'TBD';
+    const tournamentName = match.tournament ? match.tournament.name : 'Tournament';
+    const url = `${MATCH_URL}/${match._id}`;
+    const start = new Date(match.scheduledTime);
+    const updatedAt = new Date(match.updatedAt || match.createdAt || Date.now());
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:${match._id}@tonakikwetu`,
+        `DTSTAMP:${formatDate(new Date())}`,
+        `LAST-MODIFIED:${formatDate(updatedAt)}`,
+        `SEQUENCE:${Math.floor(updatedAt.getTime() / 1000)}`,
+        `DTSTART:${formatDate(start)}`,
+        `DTEND:${formatDate(new Date(start.getTime() + EVENT_MINUTES * 60 * 1000))}`,
+        `SUMMARY:${escapeText(`vs ${opponentName} - ${tournamentName}`)}`,
+        `DESCRIPTION:${escapeText(`${tournamentName}, ${match.round}\nOpponent: ${opponentName}\n${url}`)}`,
+        `URL:${url}`,
+        'STATUS:CONFIRMED',
+        'END:VEVENT'
+    ];
+};
+
+/**
+ * UTC date-time in iCalendar form, e.g. 20240105T150000Z
+ */
+const formatDate = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Escapes commas, semicolons, backslashes and newlines in a text value
+ */
+const escapeText = (text) => String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Folds a content line longer than 75 octets onto continuation lines
+ */
+const foldLine = (line) => {
+    const chunks = [];
+    let current = '';
+    for (const char of line) {
+        const limit = chunks.length === 0 ? 75 : 74; // Continuation lines start with a space
+        if (Buffer.byteLength(current + char) > limit) {
+            chunks.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+};
+
+module.exports = {
+    buildPlayerCalendar
+};
@@ -0,0 +1,159 @@
+const Match = require('../models/Match');
+const Tournament = require('../models/Tournament');
+const { processVerifiedMatch } = require('./fixtureGenerator');
+const { expireChallenges } = require('./ladder');
+const { expireWaitlistOffers } = require('./waitlist');
+
+// How often the deadline job looks for lapsed offers, closed check-ins and overdue matches
+const DEADLINE_CHECK_INTERVAL = 5 * 60 * 1000;
+
+// Overdue matches the job settles; disputed ones wait for an admin
+const OVERDUE_STATUSES = ['scheduled', 'in_progress'];
+
+/**
+ * Settles every match whose result deadline has passed, then moves its
+ * tournament on as if the result had been verified. Unanswered ladder
+ * challenges are forfeited along the way.
+ * @returns {Promise<Number>} Number of matches settled
+ */
+const processMatchDeadlines = async () => {
+    const overdue = await Match.find({
+        status: { $in: OVERDUE_STATUSES },
+        deadline: { $lt: new Date() }
+    })
+        .select('_id')
+        .sort({ deadline: 1, matchNumber: 1 });
+
+    let settled = 0;
+    for (const { _id } of overdue) {
+        try {
+            // Settling an earlier match may already have decided or cancelled this one
+            const match = await Match.findById(_id);
+            if (match && OVERDUE_STATUSES.includes(match.status) && await settleOverdueMatch(match)) {
+                settled++;
+            }
+        } catch (error) {
+            console.error(`Deadline error for match ${_id}:`, error.message);
+        }
+    }
+
+    const ladders = await Match.distinct('tournament', {
+        status: 'pending',
+        'challenge.respondBy': { $lt: new Date() }
+    });
+    for (const tournamentId of ladders) {
+        await expireChallenges(tournamentId);
+    }
+
+    return settled;
+};
+
+/**
+ * Closes the check-in of every tournament whose window has passed, dropping
+ * its no-shows and drawing its fixtures
+ * @returns {Promise<Number>} Number of tournaments closed
+ */
+const closeDueCheckIns = async () => {
+    const tournaments = await Tournament.find({
+        'checkIn.enabled': true,
+        'checkIn.closedAt': null,
+        status: { $in: ['draft', 'upcoming', 'active'] },
+        'schedule.tournamentStart': { $exists: true }
+    });
+
+    let closed = 0;
+    for (const tournament of tournaments.filter(t => t.checkInStatus === 'closed')) {
+        try {
+            await tournament.closeCheckIn();
+            closed++;
+        } catch (error) {
+            console.error(`Check-in error for tournament ${tournament._id}:`, error.message);
+        }
+    }
+
+    return closed;
+};
+
+/**
+ * Decides an overdue match. A player who is the only one to have reported a
+ * score wins by walkover. When neither reported, the tournament's
+ * `noShowPolicy` decides: a loss for both (`double_forfeit`) or, in knockout
+ * matches, a walkover for the higher seed (`higher_seed`). Matches both
+ * players reported are left alone.
+ * @param {Object} match - The overdue match document
+ * @returns {Promise<Boolean>} Whether the match was settled
+ */
+const settleOverdueMatch = async (match) => {
+    const reported = ['player1', 'player2'].filter(side => match[side].confirmed);
+    if (reported.length === 2) return false;
+
+    if (reported.length === 1) {
+        await match.recordWalkover(reported[0], 'Opponent did not report a result before the deadline');
+    } else {
+        const tournament = await Tournament.findById(match.tournament).select('settings participants');
+        const useSeeding = Boolean(tournament && match.bracket && tournament.settings.noShowPolicy === 'higher_seed');
+
+        if (useSeeding) {
+            await match.recordWalkover(getHigherSeed(tournament, match), 'Neither player reported a result before the deadline; the higher seed goes through');
+        } else {
+            await match.recordDoubleForfeit('Neither player reported a result before the deadline');
+        }
+    }
+
+    await processVerifiedMatch(match);
+    return true;
+};
+
+/**
+ * Side of the better-seeded player in a match; player1 when neither has a seed
+ */
+const getHigherSeed = (tournament, match) => {
+    const seedOf = (side) => {
+        const participant = tournament.participants.find(p =>
+            match[side].user && p.player.toString() === match[side].user.toString()
+        );
+        return (participant && participant.seed) || Infinity;
+    };
+    return seedOf('player2') < seedOf('player1') ? 'player2' : 'player1';
+};
+
+/**
+ * Runs the deadline checks (waitlist offers, check-in windows, then match
+ * results) now and then at a fixed interval, skipping a tick while the
+ * previous run is still going
+ * @param {Number} interval - Milliseconds between runs
+ * @returns {Object} The interval timer
+ */
+const startDeadlineJob = (interval = DEADLINE_CHECK_INTERVAL) => {
+    let running = false;
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await expireWaitlistOffers();
+
+            const closed = await closeDueCheckIns();
+            if (closed > 0) {
+                console.log(`⏰ Closed check-in for ${closed} tournament(s)`);
+            }
+
+            const settled = await processMatchDeadlines();
+            if (settled > 0) {
+                console.log(`⏰ Settled ${settled} overdue match(es)`);
+            }
+        } catch (error) {
+            console.error('Deadline job error:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    run();
+    return setInterval(run, interval);
+};
+
+module.exports = {
+    closeDueCheckIns,
+    processMatchDeadlines,
+    startDeadlineJob
+};
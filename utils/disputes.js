@@ -0,0 +1,76 @@
+const Match = require('../models/Match');
+const Tournament = require('../models/Tournament');
+const { processVerifiedMatch } = require('./fixtureGenerator');
+
+// Matches a disqualified player still had to play; their opponents win them by walkover
+const OPEN_MATCH_STATUSES = ['scheduled', 'in_progress', 'disputed'];
+
+/**
+ * Applies an admin's ruling on a match's open dispute, then moves the
+ * tournament on as if the result had been verified. A disqualified player is
+ * out of the tournament and forfeits the rest of their matches.
+ * @param {Object} match - The disputed match document
+ * @param {String} adminId - The admin ruling on the dispute
+ * @param {String} decision - final_score, replay or disqualification
+ * @param {Object} ruling - Final scores, replay time or side to disqualify, and the resolution note
+ * @returns {Promise<Object>} The match
+ */
+const resolveMatchDispute = async (match, adminId, decision, ruling = {}) => {
+    await match.resolveDispute(adminId, decision, ruling);
+    await processVerifiedMatch(match);
+
+    if (decision === 'disqualification') {
+        await disqualifyPlayer(match.tournament, match.result.loser, adminId, ruling.resolution);
+    }
+
+    return match;
+};
+
+/**
+ * Marks a player disqualified from a tournament and awards each of their
+ * unfinished matches to the opponent, closing any dispute still open on them
+ */
+const disqualifyPlayer = async (tournamentId, playerId, adminId, resolution) => {
+    if (!playerId) return;
+
+    const tournament = await Tournament.findById(tournamentId);
+    const participant = tournament && tournament.participants.find(p => p.player.toString() === playerId.toString());
+    if (participant) {
+        participant.status = 'disqualified';
+        await tournament.save();
+    }
+
+    const remaining = await Match.find({
+        tournament: tournamentId,
+        status: { $in: OPEN_MATCH_STATUSES },
+        $or: [{ 'player1.user': playerId }, { 'player2.user': playerId }]
+    })
+        .select('_id')
+        .sort({ matchNumber: 1 });
+
+    for (const { _id } of remaining) {
+        // Forfeiting an earlier game of a series or tie may already have cancelled this one
+        const match = await Match.findById(_id);
+        if (!match || !OPEN_MATCH_STATUSES.includes(match.status)) continue;
+
+        const dispute = match.getOpenDispute();
+        if (dispute) {
+            dispute.status = 'resolved';
+            dispute.decision = 'disqualification';
+            dispute.disqualified = playerId;
+            dispute.resolution = resolution;
+            dispute.resolvedBy = adminId;
+            dispute.resolvedAt = new Date();
+        }
+
+        const winningSide = match.player1.user && match.player1.user.toString() === playerId.toString() ? 'player2' : 'player1';
+        match.result.confirmedBy = adminId;
+        match.result.verifiedByAdmin = true;
+        await match.recordWalkover(winningSide, 'Opponent disqualified from the tournament');
+        await processVerifiedMatch(match);
+    }
+};
+
+module.exports = {
+    resolveMatchDispute
+};
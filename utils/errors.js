@@ -0,0 +1,29 @@
+/**
+ * An error caused by the request rather than the server, such as a rule of
+ * the competition the request breaks. Routes answer it with its `status`
+ * instead of a 500.
+ */
+class RequestError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'RequestError';
+        this.status = status;
+    }
+}
+
+/**
+ * HTTP status for an error caught by a route: the status of a request error,
+ * 400 for invalid documents and ids, otherwise 500
+ * @param {Error} error - The caught error
+ * @returns {number} The status code
+ */
+const getErrorStatus = (error) => {
+    if (error instanceof RequestError) return error.status;
+    if (error.name === 'ValidationError' || error.name === 'CastError') return 400;
+    return 500;
+};
+
+module.exports = {
+    RequestError,
+    getErrorStatus
+};
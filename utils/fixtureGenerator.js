@@ -1,6 +1,28 @@
+const mongoose = require('mongoose');
 const Match = require('../models/Match');
-const Tournament = require('../models/Tournament');
+const Leaderboard = require('../models/Leaderboard');
+const User = require('../models/Users');
 const { v4: uuidv4 } = require('uuid');
+const { assignPrizes, queuePrizePayouts } = require('./prizes');
+const { syncLadder, applyLadderResult } = require('./ladder');
+const { recordMatchStats } = require('./stats');
+const { applyQualification } = require('./qualifiers');
+const { awardSeasonPoints } = require('./seasons');
+const { getZonedDateParts, zonedTimeToDate, getId, sameId } = require('./helpers');
+
+// models/Tournament requires this module while it loads, so resolve it lazily
+const getTournamentModel = () => require('../models/Tournament');
+
+const DEFAULT_TIMEZONE = 'Africa/Nairobi';
+
+// How far past the next free slot to look for one both players can make
+const AVAILABILITY_LOOKAHEAD_DAYS = 14;
+
+// Matches still to be played, which hold their players' time
+const UNFINISHED_STATUSES = ['pending', 'scheduled', 'in_progress', 'disputed'];
+
+// Hours after a round's last match to report results, when a tournament has no setting
+const DEFAULT_RESULT_DEADLINE_HOURS = 24;
 
 /**
  * Generates fixtures for a tournament based on its format
@@ -9,24 +31,33 @@ const { v4: uuidv4 } = require('uuid');
  */
 const generateFixtures = async (tournament) => {
     const matches = [];
-    const { format, participants, _id: tournamentId, fixtureSettings } = tournament;
-    const participantIds = participants.map(p => p.player);
+    const { format } = tournament;
     
-    // Shuffle participants for random seeding
-    const shuffledParticipants = [...participantIds].sort(() => 0.5 - Math.random());
+    // Best seed first, per the tournament's seeding mode
+    const seededParticipants = await seedParticipants(tournament);
     
     switch (format) {
         case 'knockout':
-            await generateKnockoutFixtures(tournament, shuffledParticipants, matches);
+            await generateKnockoutFixtures(tournament, seededParticipants, matches);
+            break;
+        case 'double-elimination':
+            await generateDoubleEliminationFixtures(tournament, seededParticipants, matches);
             break;
         case 'group':
-            await generateGroupFixtures(tournament, shuffledParticipants, matches);
+            await generateGroupFixtures(tournament, seededParticipants, matches);
             break;
         case 'group+knockout':
-            await generateGroupKnockoutFixtures(tournament, shuffledParticipants, matches);
+            await generateGroupKnockoutFixtures(tournament, seededParticipants, matches);
             break;
         case 'league':
-            await generateLeagueFixtures(tournament, shuffledParticipants, matches);
+            await generateLeagueFixtures(tournament, seededParticipants, matches);
+            break;
+        case 'swiss':
+            await generateSwissFixtures(tournament, seededParticipants, matches);
+            break;
+        case 'ladder':
+            // Ladder players arrange their own matches by challenging each other
+            await syncLadder(tournament, seededParticipants);
             break;
         default:
             throw new Error(`Unsupported tournament format: ${format}`);
@@ -37,53 +68,376 @@ const generateFixtures = async (tournament) => {
 };
 
 /**
- * Generates knockout stage fixtures
+ * Orders participants by seed according to `settings.seedingMode` and writes
+ * the resulting seed back onto each participant
+ *  - random: shuffled
+ *  - manual: the seeds set by the admin, unseeded players last
+ *  - rank: global leaderboard rank, unranked players last
+ *  - rating: global leaderboard points
+ * @param {Object} tournament - The tournament document
+ * @returns {Promise<Array>} Player ids, best seed first
+ */
+const seedParticipants = async (tournament) => {
+    // With check-in, only the players who checked in are drawn
+    const participants = tournament.participants.filter(p => p.status !== 'disqualified' &&
+        !(tournament.checkIn && tournament.checkIn.enabled && p.status !== 'checked-in'));
+    const shuffled = [...participants].sort(() => 0.5 - Math.random());
+    let seeded;
+
+    switch (tournament.settings.seedingMode) {
+        case 'manual':
+            seeded = shuffled.sort((a, b) => (a.seed || Infinity) - (b.seed || Infinity));
+            break;
+        case 'rank':
+        case 'rating': {
+            const entries = await Leaderboard.find({
+                player: { $in: participants.map(p => getId(p.player)) },
+                type: 'global',
+                period: 'global'
+            });
+            const byPlayer = new Map(entries.map(entry => [entry.player.toString(), entry]));
+            const score = (participant) => {
+                const entry = byPlayer.get(getId(participant.player).toString());
+                if (!entry) return -Infinity;
+                return tournament.settings.seedingMode === 'rank'
+                    ? (entry.rank > 0 ? -entry.rank : -Infinity)
+                    : entry.points;
+            };
+            seeded = shuffled.sort((a, b) => score(b) - score(a));
+            break;
+        }
+        default:
+            seeded = shuffled;
+    }
+
+    seeded.forEach((participant, index) => {
+        participant.seed = index + 1;
+    });
+
+    return seeded.map(p => p.player);
+};
+
+/**
+ * Generates knockout stage fixtures as a seeded, linked bracket
  */
 const generateKnockoutFixtures = async (tournament, participants, matches) => {
-    let round = 1;
-    let currentRound = participants;
-    let matchNumber = 1;
-    
-    while (currentRound.length > 1) {
-        const nextRound = [];
-        const roundName = getRoundName(round, currentRound.length);
-        
-        // If odd number of participants, one gets a bye
-        if (currentRound.length % 2 !== 0) {
-            const byeIndex = Math.floor(Math.random() * currentRound.length);
-            const [byePlayer] = currentRound.splice(byeIndex, 1);
-            nextRound.push(byePlayer);
+    appendKnockoutBracket(tournament, participants, matches);
+};
+
+/**
+ * Generates double-elimination fixtures: a winners bracket, a losers bracket
+ * fed by the winners-bracket losers, and a grand final with an optional reset.
+ * Every match is created up front and linked to the slots its winner and loser
+ * move into; matches whose players are not known yet are left 'pending'.
+ */
+const generateDoubleEliminationFixtures = async (tournament, participants, matches) => {
+    const size = Math.pow(2, Math.ceil(Math.log2(participants.length)));
+    const totalRounds = Math.log2(size);
+    const nodes = [];
+    const addNode = (bracket, bracketRound, slots) => addBracketNode(nodes, bracket, bracketRound, slots);
+    const from = fromBracketNode;
+
+    // Seeded winners bracket, padded with byes for the top seeds
+    const entrants = getSeedPositions(size).map(seed => participants[seed - 1] || null);
+
+    const winnersRounds = buildWinnersBracket(nodes, entrants);
+    const winnersFinal = winnersRounds[totalRounds - 1][0];
+
+    // Losers bracket: alternate between pairing survivors and taking in the
+    // losers of the next winners round (reversed every other round to avoid rematches)
+    let losersChampion = from(winnersFinal, 'loser');
+    if (totalRounds > 1) {
+        let losersRoundNumber = 1;
+        let losersRound = [];
+        for (let i = 0; i < winnersRounds[0].length; i += 2) {
+            losersRound.push(addNode('losers', losersRoundNumber, [
+                from(winnersRounds[0][i], 'loser'),
+                from(winnersRounds[0][i + 1], 'loser')
+            ]));
         }
-        
-        // Create matches for current round
-        for (let i = 0; i < currentRound.length; i += 2) {
-            const player1 = currentRound[i];
-            const player2 = currentRound[i + 1] || null; // Could be null for bye
-            
-            matches.push({
-                tournament: tournament._id,
-                round: roundName,
-                matchNumber: matchNumber++,
-                player1: { user: player1 },
-                player2: player2 ? { user: player2 } : null,
-                status: player2 ? 'scheduled' : 'completed',
-                result: player2 ? null : { 
-                    winner: player1,
-                    isDraw: false,
-                    confirmedBy: tournament.organizer
+
+        for (let round = 2; round <= totalRounds; round++) {
+            const dropping = round % 2 === 0 ? [...winnersRounds[round - 1]].reverse() : winnersRounds[round - 1];
+            losersRoundNumber++;
+            losersRound = losersRound.map((node, i) =>
+                addNode('losers', losersRoundNumber, [from(node, 'winner'), from(dropping[i], 'loser')])
+            );
+
+            if (losersRound.length > 1) {
+                losersRoundNumber++;
+                const paired = [];
+                for (let i = 0; i < losersRound.length; i += 2) {
+                    paired.push(addNode('losers', losersRoundNumber, [from(losersRound[i], 'winner'), from(losersRound[i + 1], 'winner')]));
                 }
-            });
-            
-            if (player2) {
-                nextRound.push(null); // Placeholder for winner
-            } else {
-                nextRound.push(player1); // Player with bye advances
+                losersRound = paired;
             }
         }
-        
-        currentRound = nextRound;
-        round++;
+        losersChampion = from(losersRound[0], 'winner');
+    }
+
+    const grandFinal = addNode('grand_final', 1, [from(winnersFinal, 'winner'), losersChampion]);
+    if (tournament.settings.grandFinalReset !== false) {
+        // Keep the winners-bracket champion as player1 in the reset
+        addNode('grand_final_reset', 1, [from(grandFinal, 'loser'), from(grandFinal, 'winner')]);
+    }
+
+    const remaining = resolveBracketByes(nodes);
+    const losersRounds = remaining.filter(n => n.bracket === 'losers').map(n => n.bracketRound);
+    const lastRound = {
+        winners: totalRounds,
+        losers: Math.max(...losersRounds, 0)
+    };
+    // Byes can settle the whole first losers round; numbering starts at the first one played
+    const firstLosersRound = Math.min(...losersRounds, lastRound.losers);
+
+    const firstIndex = matches.length;
+    appendBracketMatches(tournament, remaining, matches, node => {
+        switch (node.bracket) {
+            case 'grand_final': return 'Grand Final';
+            case 'grand_final_reset': return 'Grand Final (Reset)';
+            case 'losers':
+                return node.bracketRound === lastRound.losers ? 'Losers Final' : `Losers Round ${node.bracketRound - firstLosersRound + 1}`;
+            default:
+                return node.bracketRound === lastRound.winners ? 'Winners Final' : `Winners Round ${node.bracketRound}`;
+        }
+    });
+
+    expandSeries(tournament, matches, firstIndex);
+};
+
+/**
+ * Generates a single-elimination bracket from seeded players. Seeds take the
+ * standard bracket positions so the top seeds meet as late as possible, and
+ * byes for a field short of a power of two fall to the top seeds.
+ * @param {Object} tournament - The tournament document
+ * @param {Array} seededPlayers - Player ids, best seed first
+ * @param {Array} matches - Array the match documents are appended to
+ * @returns {Array} The appended match documents
+ */
+const appendKnockoutBracket = (tournament, seededPlayers, matches) => {
+    const size = Math.pow(2, Math.ceil(Math.log2(Math.max(seededPlayers.length, 2))));
+    const nodes = [];
+    const entrants = getSeedPositions(size).map(seed => seededPlayers[seed - 1] || null);
+
+    const rounds = buildWinnersBracket(nodes, entrants);
+
+    // The losing semi-finalists play off for third place
+    if (tournament.settings.thirdPlaceMatch && rounds.length >= 2) {
+        const semiFinals = rounds[rounds.length - 2];
+        addBracketNode(nodes, 'third_place', rounds.length, [
+            fromBracketNode(semiFinals[0], 'loser'),
+            fromBracketNode(semiFinals[1], 'loser')
+        ]);
+    }
+
+    const firstIndex = matches.length;
+    appendBracketMatches(tournament, resolveBracketByes(nodes), matches, node =>
+        node.bracket === 'third_place'
+            ? 'Third-Place Playoff'
+            : getRoundName(size / Math.pow(2, node.bracketRound - 1))
+    );
+
+    if (tournament.settings.knockoutLegs === 2) {
+        const bracketMatches = matches.splice(firstIndex);
+        bracketMatches.forEach(match => {
+            const isFinal = !match.progression.winnerTo;
+            if (isFinal && tournament.settings.singleLegFinal !== false) {
+                matches.push(match);
+                return;
+            }
+            matches.push(...splitIntoLegs(match));
+        });
+    }
+
+    expandSeries(tournament, matches, firstIndex);
+
+    return matches.slice(firstIndex);
+};
+
+/**
+ * Turns bracket matches of best-of-3 and best-of-5 rounds (per
+ * `settings.bestOf`) into series of games, then renumbers the matches
+ * @param {Object} tournament - The tournament document
+ * @param {Array} matches - Array of match documents
+ * @param {Number} firstIndex - Index of the first bracket match
+ */
+const expandSeries = (tournament, matches, firstIndex) => {
+    const bracketMatches = matches.splice(firstIndex);
+    bracketMatches.forEach(match => {
+        const rule = (tournament.settings.bestOf || []).find(r => r.round === match.round);
+        // Two-legged ties are already decided over more than one match
+        if (!rule || rule.games <= 1 || (match.tie && match.tie.id)) {
+            matches.push(match);
+            return;
+        }
+        matches.push(...splitIntoSeries(match, rule.games));
+    });
+
+    matches.slice(firstIndex).forEach((match, index) => {
+        match.matchNumber = firstIndex + index + 1;
+    });
+};
+
+/**
+ * Turns a bracket match into a home-and-away tie: two matches sharing a tie
+ * id, with the players swapping home (player1) and away (player2) for the
+ * second leg. Both legs feed the same next bracket slot.
+ */
+const splitIntoLegs = (match) => {
+    const tieId = uuidv4();
+    const secondLeg = {
+        ...match,
+        _id: new mongoose.Types.ObjectId(),
+        player1: { user: match.player2.user },
+        player2: { user: match.player1.user },
+        tie: { id: tieId, leg: 2 }
+    };
+    match.tie = { id: tieId, leg: 1 };
+    return [match, secondLeg];
+};
+
+/**
+ * Turns a bracket match into a best-of-N series: N games sharing a series id,
+ * all feeding the same next bracket slot. Games left over once a player has
+ * won the series are cancelled.
+ */
+const splitIntoSeries = (match, bestOf) => {
+    const seriesId = uuidv4();
+    return Array.from({ length: bestOf }, (_, index) => ({
+        ...match,
+        _id: index === 0 ? match._id : new mongoose.Types.ObjectId(),
+        player1: { ...match.player1 },
+        player2: { ...match.player2 },
+        series: { id: seriesId, game: index + 1, bestOf }
+    }));
+};
+
+/**
+ * Standard bracket order of seeds for a bracket of the given size,
+ * e.g. 8 -> [1, 8, 4, 5, 2, 7, 3, 6]
+ */
+const getSeedPositions = (size) => {
+    let positions = [1];
+    while (positions.length < size) {
+        const total = positions.length * 2 + 1;
+        positions = positions.flatMap(seed => [seed, total - seed]);
+    }
+    return positions;
+};
+
+/**
+ * Builds the rounds of a winners (single-elimination) bracket
+ * @param {Array} nodes - Bracket nodes the new nodes are added to
+ * @param {Array} entrants - Player ids in bracket position order, null for a bye
+ * @returns {Array} Bracket nodes grouped by round
+ */
+const buildWinnersBracket = (nodes, entrants) => {
+    const rounds = [[]];
+    for (let i = 0; i < entrants.length; i += 2) {
+        rounds[0].push(addBracketNode(nodes, 'winners', 1, [
+            toBracketSlot(entrants[i]),
+            toBracketSlot(entrants[i + 1])
+        ]));
+    }
+
+    while (rounds[rounds.length - 1].length > 1) {
+        const previous = rounds[rounds.length - 1];
+        const current = [];
+        for (let i = 0; i < previous.length; i += 2) {
+            current.push(addBracketNode(nodes, 'winners', rounds.length + 1, [
+                fromBracketNode(previous[i], 'winner'),
+                fromBracketNode(previous[i + 1], 'winner')
+            ]));
+        }
+        rounds.push(current);
+    }
+
+    return rounds;
+};
+
+const addBracketNode = (nodes, bracket, bracketRound, slots) => {
+    const node = { id: nodes.length, bracket, bracketRound, slots };
+    nodes.push(node);
+    return node;
+};
+
+const fromBracketNode = (node, outcome) => ({ from: node.id, outcome });
+
+/**
+ * Builds a bracket slot for a seeded entrant (null is a bye)
+ */
+const toBracketSlot = (player) => (player ? { player } : { bye: true });
+
+/**
+ * Removes bracket nodes decided by a bye, routing the remaining entrant (or
+ * the feeder match it is waiting on) straight into the following slot
+ * @param {Array} nodes - Bracket nodes in creation order
+ * @returns {Array} Nodes that still need to be played
+ */
+const resolveBracketByes = (nodes) => {
+    const resolved = new Map();
+    const follow = (slot) => {
+        while (slot.from !== undefined && resolved.has(slot.from)) {
+            slot = resolved.get(slot.from)[slot.outcome];
+        }
+        return slot;
+    };
+
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const node of nodes) {
+            if (resolved.has(node.id)) continue;
+
+            node.slots = node.slots.map(follow);
+            const byeIndex = node.slots.findIndex(slot => slot.bye);
+            if (byeIndex === -1) continue;
+
+            resolved.set(node.id, { winner: node.slots[1 - byeIndex], loser: { bye: true } });
+            changed = true;
+        }
     }
+
+    return nodes.filter(node => !resolved.has(node.id));
+};
+
+/**
+ * Turns resolved bracket nodes into match documents linked through
+ * `progression`, numbering rounds by their distance from the first round
+ * @param {Object} tournament - The tournament document
+ * @param {Array} nodes - Bracket nodes in creation order
+ * @param {Array} matches - Array the match documents are appended to
+ * @param {Function} getName - Returns the round name for a node
+ */
+const appendBracketMatches = (tournament, nodes, matches, getName) => {
+    const byNodeId = new Map();
+
+    nodes.forEach(node => {
+        const feeders = node.slots.filter(slot => slot.from !== undefined).map(slot => byNodeId.get(slot.from));
+        const match = {
+            _id: new mongoose.Types.ObjectId(),
+            tournament: tournament._id,
+            round: getName(node),
+            roundNumber: 1 + Math.max(0, ...feeders.map(feeder => feeder.roundNumber)),
+            matchNumber: matches.length + 1,
+            bracket: node.bracket,
+            player1: { user: node.slots[0].player || null },
+            player2: { user: node.slots[1].player || null },
+            status: node.slots.every(slot => slot.player) ? 'scheduled' : 'pending',
+            progression: {}
+        };
+
+        node.slots.forEach((slot, index) => {
+            if (slot.from === undefined) return;
+            byNodeId.get(slot.from).progression[`${slot.outcome}To`] = {
+                match: match._id,
+                slot: index === 0 ? 'player1' : 'player2'
+            };
+        });
+
+        byNodeId.set(node.id, match);
+        matches.push(match);
+    });
 };
 
 /**
@@ -126,8 +480,12 @@ const generateGroupFixtures = async (tournament, participants, matches) => {
         const shuffledMatches = groupMatches.sort(() => 0.5 - Math.random());
         
         // Create match documents
+        group.matches = [];
         shuffledMatches.forEach((match, index) => {
+            const _id = new mongoose.Types.ObjectId();
+            group.matches.push(_id);
             matches.push({
+                _id,
                 tournament: tournament._id,
                 round: group.name,
                 matchNumber: matches.length + 1,
@@ -138,138 +496,661 @@ const generateGroupFixtures = async (tournament, participants, matches) => {
             });
         });
     }
+
+    tournament.groups = groups;
+};
+
+/**
+ * Generates group stage followed by knockout stage
+ */
+const generateGroupKnockoutFixtures = async (tournament, participants, matches) => {
+    // First generate group stage
+    await generateGroupFixtures(tournament, participants, matches);
+    
+    // The knockout stage is seeded from the group tables by generateKnockoutStage
+    // once every group match has been verified
+};
+
+/**
+ * Seeds the knockout stage of a group+knockout tournament once every group
+ * match is completed. The top `settings.qualifiersPerGroup` players of each
+ * group go through, seeded winners first with no first-round match between
+ * players from the same group, and the generated rounds are stored in
+ * `knockoutRounds`.
+ * @param {String} tournamentId - ID of the tournament
+ */
+const generateKnockoutStage = async (tournamentId) => {
+    const groupMatches = await Match.find({ tournament: tournamentId, group: { $exists: true } });
+    if (groupMatches.some(match => match.status !== 'completed' && match.status !== 'cancelled')) {
+        return null;
+    }
+
+    const tournament = await updateTournamentLeaderboard(tournamentId);
+
+    // Group results verified at the same time both get here; only the one that claims the stage draws it
+    const claim = await getTournamentModel().updateOne(
+        { _id: tournament._id, knockoutGenerated: { $ne: true } },
+        { $set: { knockoutGenerated: true } }
+    );
+    if (claim.modifiedCount === 0) {
+        return tournament;
+    }
+    tournament.knockoutGenerated = true;
+
+    const qualifiersPerGroup = tournament.settings.qualifiersPerGroup || 2;
+    const groups = [...tournament.groups].sort((a, b) => a.name.localeCompare(b.name));
+
+    // Participants are sorted by the leaderboard, so each group's table is
+    // its players in that order
+    const tables = groups.map(group => tournament.participants
+        .filter(p => p.status !== 'disqualified' && group.players.some(player => sameId(player, p.player)))
+        .map(p => getId(p.player))
+        .slice(0, qualifiersPerGroup)
+    );
+
+    // Seed group winners first, then runners-up and so on, each tier in
+    // leaderboard order, then keep players from the same group apart in the
+    // first round
+    const ranking = tournament.participants.map(p => getId(p.player).toString());
+    const seeds = [];
+    for (let place = 0; place < qualifiersPerGroup; place++) {
+        seeds.push(...tables
+            .map(table => table[place])
+            .filter(Boolean)
+            .sort((a, b) => ranking.indexOf(a.toString()) - ranking.indexOf(b.toString())));
+    }
+    separateGroupOpponents(seeds, tables);
+
+    if (seeds.length < 2) {
+        return tournament;
+    }
+
+    try {
+        const matches = appendKnockoutBracket(tournament, seeds, []);
+        const knockoutStart = new Date();
+        knockoutStart.setDate(knockoutStart.getDate() + 1);
+        await scheduleMatches(matches, tournament, knockoutStart);
+
+        const lastMatchNumber = Math.max(0, ...groupMatches.map(m => m.matchNumber));
+        matches.forEach((match, index) => {
+            match.matchNumber = lastMatchNumber + index + 1;
+        });
+        await Match.insertMany(matches);
+
+        const rounds = new Map();
+        matches.forEach(match => {
+            if (!rounds.has(match.roundNumber)) {
+                rounds.set(match.roundNumber, { round: match.roundNumber, name: match.round, matches: [] });
+            }
+            rounds.get(match.roundNumber).matches.push(match._id);
+        });
+        tournament.knockoutRounds = [...rounds.values()].sort((a, b) => a.round - b.round);
+
+        await tournament.save();
+    } catch (error) {
+        // Release the claim so the stage can be drawn again
+        await getTournamentModel().updateOne(
+            { _id: tournament._id },
+            { $set: { knockoutGenerated: false } }
+        );
+        throw error;
+    }
+
+    return tournament;
+};
+
+/**
+ * Reorders a knockout seed list so no first-round match pairs two players
+ * from the same group. Seed s meets seed size + 1 - s, so the lower seed of
+ * each clashing match swaps places with the nearest lower seed whose swap
+ * leaves both matches between different groups.
+ * @param {Array} seeds - Player ids, best seed first; reordered in place
+ * @param {Array} tables - Each group's qualifiers
+ */
+const separateGroupOpponents = (seeds, tables) => {
+    const groupOf = new Map();
+    tables.forEach((table, group) => table.forEach(player => groupOf.set(player.toString(), group)));
+    const sameGroup = (a, b) => groupOf.get(a.toString()) === groupOf.get(b.toString());
+
+    const size = Math.pow(2, Math.ceil(Math.log2(Math.max(seeds.length, 2))));
+    const opponentOf = index => size - 1 - index;
+
+    for (let index = 0; index < size / 2; index++) {
+        const lower = opponentOf(index);
+        if (lower >= seeds.length || !sameGroup(seeds[index], seeds[lower])) continue;
+
+        const candidates = [];
+        for (let other = size / 2; other < seeds.length; other++) {
+            if (other !== lower) candidates.push(other);
+        }
+        candidates.sort((a, b) => Math.abs(a - lower) - Math.abs(b - lower));
+
+        const swap = candidates.find(other => {
+            const otherOpponent = opponentOf(other);
+            return !sameGroup(seeds[index], seeds[other]) &&
+                (otherOpponent >= seeds.length || !sameGroup(seeds[otherOpponent], seeds[lower]));
+        });
+        if (swap !== undefined) {
+            [seeds[lower], seeds[swap]] = [seeds[swap], seeds[lower]];
+        }
+    }
+};
+
+/**
+ * Generates league/round-robin fixtures with the circle method. An odd field
+ * gets a bye slot, so one player rests each round. With `leagueRounds: 2` the
+ * second half of the season mirrors the first with home and away swapped.
+ */
+const generateLeagueFixtures = async (tournament, participants, matches) => {
+    // Pad an odd field with a bye; whoever draws it sits the round out
+    let teams = participants.length % 2 === 0 ? [...participants] : [...participants, null];
+    const rounds = teams.length - 1;
+    const matchesPerRound = teams.length / 2;
+    const firstHalf = [];
+
+    // Fixed first team, rotate others
+    for (let round = 0; round < rounds; round++) {
+        for (let match = 0; match < matchesPerRound; match++) {
+            let home = teams[match];
+            let away = teams[teams.length - 1 - match];
+            if (!home || !away) continue;
+
+            // Alternate the fixed team between home and away
+            if (match === 0 && round % 2 === 1) {
+                [home, away] = [away, home];
+            }
+
+            firstHalf.push({ roundNumber: round + 1, home, away });
+        }
+
+        // Rotate all except first team
+        teams = [teams[0], teams[teams.length - 1], ...teams.slice(1, -1)];
+    }
+
+    const fixtures = [...firstHalf];
+    if (tournament.settings.leagueRounds === 2) {
+        firstHalf.forEach(({ roundNumber, home, away }) => {
+            fixtures.push({ roundNumber: roundNumber + rounds, home: away, away: home });
+        });
+    }
+
+    fixtures.forEach(({ roundNumber, home, away }) => {
+        matches.push({
+            tournament: tournament._id,
+            round: `Round ${roundNumber}`,
+            roundNumber,
+            matchNumber: matches.length + 1,
+            player1: { user: home },
+            player2: { user: away },
+            status: 'scheduled'
+        });
+    });
+};
+
+/**
+ * Generates the first round of a Swiss tournament. Later rounds are paired
+ * from the standings by generateNextSwissRound as each round completes.
+ */
+const generateSwissFixtures = async (tournament, participants, matches) => {
+    appendSwissRound(tournament, participants, [], 1, matches);
+    tournament.swissRoundsPaired = 1;
+};
+
+/**
+ * Number of rounds a Swiss tournament runs for
+ */
+const getSwissRoundCount = (tournament) => {
+    const playerCount = tournament.participants.filter(p => p.status !== 'disqualified').length;
+    return tournament.settings.swissRounds || Math.ceil(Math.log2(Math.max(playerCount, 2)));
+};
+
+/**
+ * Pairs a Swiss round and appends its matches, recording any bye on the
+ * tournament participant
+ * @param {Object} tournament - The tournament document
+ * @param {Array} standings - Player ids ordered from first to last
+ * @param {Array} previousMatches - Matches already played in the tournament
+ * @param {Number} roundNumber - Round being paired
+ * @param {Array} matches - Array the match documents are appended to
+ */
+const appendSwissRound = (tournament, standings, previousMatches, roundNumber, matches) => {
+    const opponents = new Map();
+    const addOpponent = (a, b) => {
+        const key = getId(a).toString();
+        if (!opponents.has(key)) opponents.set(key, new Set());
+        opponents.get(key).add(getId(b).toString());
+    };
+    previousMatches.forEach(match => {
+        if (!match.player1.user || !match.player2.user) return;
+        addOpponent(match.player1.user, match.player2.user);
+        addOpponent(match.player2.user, match.player1.user);
+    });
+
+    const hadBye = new Set(
+        tournament.participants
+            .filter(p => p.byeRounds && p.byeRounds.length > 0)
+            .map(p => getId(p.player).toString())
+    );
+
+    const points = new Map(
+        tournament.participants.map(p => [getId(p.player).toString(), (p.stats && p.stats.points) || 0])
+    );
+
+    const { pairs, bye } = pairSwissRound(standings.map(player => getId(player).toString()), opponents, hadBye, points);
+
+    if (bye) {
+        const participant = tournament.participants.find(p => sameId(p.player, bye));
+        participant.byeRounds = [...(participant.byeRounds || []), roundNumber];
+    }
+
+    const firstMatchNumber = Math.max(0, ...previousMatches.map(m => m.matchNumber), ...matches.map(m => m.matchNumber)) + 1;
+    pairs.forEach(([player1, player2], index) => {
+        matches.push({
+            tournament: tournament._id,
+            round: `Round ${roundNumber}`,
+            roundNumber,
+            matchNumber: firstMatchNumber + index,
+            player1: { user: player1 },
+            player2: { user: player2 },
+            status: 'scheduled'
+        });
+    });
+};
+
+/**
+ * Pairs players for a Swiss round within score groups: the top half of each
+ * group meets the bottom half (1st v 5th, 2nd v 6th... in a group of eight),
+ * and a player left without an opponent they have not played floats down to
+ * the next group. With an odd field the lowest-ranked player who has not had
+ * a bye sits the round out.
+ * @param {Array} standings - Player id strings ordered from first to last
+ * @param {Map} opponents - Player id -> Set of previous opponent ids
+ * @param {Set} hadBye - Player ids that have already received a bye
+ * @param {Map} points - Player id -> tournament points
+ * @returns {Object} { pairs, bye }
+ */
+const pairSwissRound = (standings, opponents, hadBye, points = new Map()) => {
+    const players = [...standings];
+    let bye = null;
+
+    if (players.length % 2 !== 0) {
+        let byeIndex = players.length - 1;
+        while (byeIndex > 0 && hadBye.has(players[byeIndex])) byeIndex--;
+        if (hadBye.has(players[byeIndex])) byeIndex = players.length - 1;
+        [bye] = players.splice(byeIndex, 1);
+    }
+
+    const havePlayed = (a, b) => opponents.has(a) && opponents.get(a).has(b);
+
+    // Backtracking search, bounded so a field with no rematch-free pairing left
+    // falls back to pairing down the standings
+    let budget = 100000;
+    const pairFrom = (remaining) => {
+        if (remaining.length === 0) return [];
+        const [first, ...rest] = remaining;
+
+        for (const opponent of getSwissCandidates(first, rest, points)) {
+            if (--budget < 0) return null;
+            if (havePlayed(first, opponent)) continue;
+
+            const pairs = pairFrom(rest.filter(player => player !== opponent));
+            if (pairs) return [[first, opponent], ...pairs];
+        }
+        return null;
+    };
+
+    let pairs = pairFrom(players);
+    if (!pairs) {
+        pairs = [];
+        for (let i = 0; i + 1 < players.length; i += 2) {
+            pairs.push([players[i], players[i + 1]]);
+        }
+    }
+
+    return { pairs, bye };
+};
+
+/**
+ * Opponents for the top remaining player of a score group, best first: the
+ * player half a group below them, then the rest of their group by how close
+ * they are to that spot, then the players below the group in standings order
+ */
+const getSwissCandidates = (first, rest, points) => {
+    const score = points.get(first) || 0;
+    const group = rest.filter(player => (points.get(player) || 0) === score);
+    const below = rest.filter(player => (points.get(player) || 0) !== score);
+
+    // first is at index 0 of its group, so its ideal opponent is at half the group's size
+    const ideal = Math.floor((group.length + 1) / 2) - 1;
+    const sameGroup = group
+        .map((player, index) => ({ player, distance: Math.abs(index - ideal) }))
+        .sort((a, b) => a.distance - b.distance)
+        .map(({ player }) => player);
+
+    return [...sameGroup, ...below];
+};
+
+/**
+ * Generates the next Swiss round once every match of the current round is
+ * completed, or completes the tournament after its final round
+ * @param {String} tournamentId - ID of the tournament
+ */
+const generateNextSwissRound = async (tournamentId) => {
+    const tournament = await updateTournamentLeaderboard(tournamentId);
+    const previousMatches = await Match.find({ tournament: tournament._id, status: { $ne: 'cancelled' } });
+
+    const currentRound = Math.max(0, ...previousMatches.map(m => m.roundNumber || 0));
+    if (previousMatches.some(m => m.roundNumber === currentRound && m.status !== 'completed')) {
+        return tournament;
+    }
+
+    if (currentRound >= getSwissRoundCount(tournament)) {
+        return completeTournament(tournament._id);
+    }
+
+    // Results verified at the same time both get here; only the one that claims the round pairs it
+    const nextRound = currentRound + 1;
+    const claim = await getTournamentModel().updateOne(
+        {
+            _id: tournament._id,
+            $or: [{ swissRoundsPaired: { $lt: nextRound } }, { swissRoundsPaired: { $exists: false } }]
+        },
+        { $set: { swissRoundsPaired: nextRound } }
+    );
+    if (claim.modifiedCount === 0) {
+        return tournament;
+    }
+
+    const standings = tournament.participants
+        .filter(p => p.status !== 'disqualified')
+        .map(p => p.player);
+
+    try {
+        const matches = [];
+        appendSwissRound(tournament, standings, previousMatches, nextRound, matches);
+
+        // Give players at least a day between rounds
+        const nextRoundStart = new Date();
+        nextRoundStart.setDate(nextRoundStart.getDate() + 1);
+        await scheduleMatches(matches, tournament, nextRoundStart);
+
+        await Match.insertMany(matches);
+        await tournament.save();
+    } catch (error) {
+        // Release the claim so the round can be paired again
+        await getTournamentModel().updateOne(
+            { _id: tournament._id, swissRoundsPaired: nextRound },
+            { $set: { swissRoundsPaired: currentRound } }
+        );
+        throw error;
+    }
+
+    return tournament;
+};
+
+/**
+ * Schedules matches based on tournament settings. Match days and start times
+ * are read in the tournament's timezone, and each time slot holds up to
+ * `parallelMatches` matches. Each match takes the earliest free slot within
+ * the next couple of weeks that falls inside both players' weekly
+ * availability, or the next free default slot when their windows never
+ * overlap. Either way no player plays twice in a slot or without
+ * `minRestMinutes` between matches, and a round's matches always come after
+ * every match of the round before.
+ */
+const scheduleMatches = async (matches, tournament, startDate = tournament.schedule.tournamentStart) => {
+    const { fixtureSettings } = tournament;
+    const { matchDuration, breakBetweenMatches, startTime, daysOfWeek } = fixtureSettings;
+    const timeZone = tournament.timezone || DEFAULT_TIMEZONE;
+    const parallelMatches = fixtureSettings.parallelMatches || 1;
+    const restWindow = (matchDuration + (fixtureSettings.minRestMinutes || 0)) * 60000;
+    
+    // Sort matches by round to schedule them in order
+    matches.sort((a, b) => {
+        // Bracket matches carry their play order; fall back to the round name
+        if (a.roundNumber && b.roundNumber && a.roundNumber !== b.roundNumber) {
+            return a.roundNumber - b.roundNumber;
+        }
+        // First legs of a round are played before second legs
+        if (a.tie && b.tie && a.tie.leg !== b.tie.leg) {
+            return a.tie.leg - b.tie.leg;
+        }
+        // Likewise for the games of a series
+        if (a.series && b.series && a.series.game !== b.series.game) {
+            return a.series.game - b.series.game;
+        }
+        return a.round.localeCompare(b.round);
+    });
+
+    if (!daysOfWeek || daysOfWeek.length === 0) {
+        throw new Error('Fixture settings need at least one match day');
+    }
+
+    // Default slots, generated a match day at a time from the start date
+    const [hours, minutes] = startTime.split(':').map(Number);
+    const firstDay = getZonedDateParts(new Date(startDate), timeZone);
+    const slots = [];
+    let dayOffset = 0;
+    const slotAt = (index) => {
+        while (slots.length <= index) {
+            const day = getZonedDateParts(
+                zonedTimeToDate({ year: firstDay.year, month: firstDay.month, day: firstDay.day + dayOffset, hour: 12 }, timeZone),
+                timeZone
+            );
+            dayOffset++;
+            if (!daysOfWeek.includes(day.weekday)) continue;
+
+            for (let i = 0; i < fixtureSettings.matchesPerDay; i++) {
+                slots.push(zonedTimeToDate({
+                    ...day,
+                    hour: hours,
+                    minute: minutes + i * (matchDuration + breakBetweenMatches)
+                }, timeZone));
+            }
+        }
+        return slots[index];
+    };
+
+    const availability = await getPlayerAvailability(matches);
+    const isAvailable = (player, time) => isPlayerAvailable(availability, player, time, matchDuration);
+
+    // Start times of every player's matches, including ones already scheduled
+    const commitments = await getPlayerCommitments(matches);
+    const isRested = (player, time) => {
+        const times = player ? commitments.get(getId(player).toString()) || [] : [];
+        return times.every(other => Math.abs(other - time) >= restWindow);
+    };
+    const canPlay = (match, time) => isRested(match.player1.user, time) && isRested(match.player2.user, time);
+
+    const used = new Map(); // Slot index -> matches placed in it
+    const isFull = (index) => (used.get(index) || 0) >= parallelMatches;
+    let firstFree = 0;
+    let roundFloor = 0;
+    let lastUsed = -1;
+    let currentStage = null;
+
+    for (const match of matches) {
+        // Rounds (and legs or games within them) are played in order
+        const stage = getStage(match);
+        if (stage !== currentStage) {
+            if (stage && currentStage) roundFloor = lastUsed + 1;
+            currentStage = stage;
+        }
+
+        const earliest = Math.max(firstFree, roundFloor);
+        const horizon = slotAt(earliest).getTime() + AVAILABILITY_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000;
+        let slot = -1;
+        for (let i = earliest; slotAt(i).getTime() <= horizon; i++) {
+            if (isFull(i) || !canPlay(match, slotAt(i).getTime())) continue;
+            if (isAvailable(match.player1.user, slotAt(i)) && isAvailable(match.player2.user, slotAt(i))) {
+                slot = i;
+                break;
+            }
+        }
+
+        // No overlap: fall back to the next default slot both players are rested for
+        if (slot === -1) {
+            slot = earliest;
+            while (isFull(slot) || !canPlay(match, slotAt(slot).getTime())) slot++;
+        }
+
+        match.scheduledTime = new Date(slotAt(slot));
+        used.set(slot, (used.get(slot) || 0) + 1);
+        [match.player1.user, match.player2.user].filter(Boolean).forEach(player => {
+            const key = getId(player).toString();
+            commitments.set(key, [...(commitments.get(key) || []), match.scheduledTime.getTime()]);
+        });
+        lastUsed = Math.max(lastUsed, slot);
+        while (isFull(firstFree)) firstFree++;
+    }
+
+    // Each round's results are due a set time after its last match ends
+    const resultHours = fixtureSettings.resultDeadlineHours || DEFAULT_RESULT_DEADLINE_HOURS;
+    const roundEnds = new Map();
+    matches.forEach(match => {
+        const key = getStage(match) || match.round;
+        roundEnds.set(key, Math.max(roundEnds.get(key) || 0, match.scheduledTime.getTime()));
+    });
+    matches.forEach(match => {
+        const roundEnd = roundEnds.get(getStage(match) || match.round);
+        match.deadline = new Date(roundEnd + (matchDuration + resultHours * 60) * 60000);
+    });
+    
+    return matches;
+};
+
+/**
+ * Play-order stage of a match: its round, plus the leg or game within it
+ * @returns {String|null} Null for matches without a round number
+ */
+const getStage = (match) => (match.roundNumber
+    ? [match.roundNumber, match.tie && match.tie.leg, match.series && match.series.game].join(':')
+    : null);
+
+/**
+ * Weekly availability of the players in a set of matches
+ * @returns {Promise<Map>} Player id -> { timeZone, slots } for players with windows
+ */
+const getPlayerAvailability = async (matches) => {
+    const playerIds = matches
+        .flatMap(match => [match.player1.user, match.player2.user])
+        .filter(Boolean)
+        .map(getId);
+    const players = await User.find({ _id: { $in: playerIds } }).select('availability timezone');
+
+    return new Map(players
+        .filter(player => player.availability && player.availability.length > 0)
+        .map(player => [player._id.toString(), {
+            timeZone: player.timezone || DEFAULT_TIMEZONE,
+            slots: player.availability
+        }]));
+};
+
+/**
+ * Start times of the unfinished matches already scheduled for the players in
+ * a set of matches, from any tournament
+ * @returns {Promise<Map>} Player id -> start times in milliseconds
+ */
+const getPlayerCommitments = async (matches) => {
+    const playerIds = matches
+        .flatMap(match => [match.player1.user, match.player2.user])
+        .filter(Boolean)
+        .map(getId);
+    const scheduled = await Match.find({
+        _id: { $nin: matches.map(match => match._id).filter(Boolean) },
+        status: { $in: UNFINISHED_STATUSES },
+        $or: [{ 'player1.user': { $in: playerIds } }, { 'player2.user': { $in: playerIds } }]
+    }).select('player1.user player2.user scheduledTime');
+
+    const commitments = new Map();
+    scheduled.forEach(match => {
+        [match.player1.user, match.player2.user].filter(Boolean).forEach(player => {
+            const key = player.toString();
+            commitments.set(key, [...(commitments.get(key) || []), match.scheduledTime.getTime()]);
+        });
+    });
+    return commitments;
 };
 
 /**
- * Generates group stage followed by knockout stage
+ * Whether a player's weekly availability covers a match starting at a time.
+ * Players who have not registered any windows are always available.
+ * @param {Map} availability - From getPlayerAvailability
  */
-const generateGroupKnockoutFixtures = async (tournament, participants, matches) => {
-    // First generate group stage
-    await generateGroupFixtures(tournament, participants, matches);
-    
-    // After group stage, we would need to determine the top players from each group
-    // and then generate knockout fixtures. This would require the group stage to be completed first.
-    // We'll add a placeholder for the knockout stage matches.
-    
-    // This would be implemented to run after group stage is complete
-    // and would use the group stage results to seed the knockout stage
+const isPlayerAvailable = (availability, player, time, matchDuration) => {
+    const windows = player && availability.get(getId(player).toString());
+    if (!windows) return true;
+
+    const local = getZonedDateParts(time, windows.timeZone);
+    const start = local.hour * 60 + local.minute;
+    return windows.slots.some(window =>
+        window.day === local.weekday &&
+        toMinutes(window.start) <= start &&
+        start + matchDuration <= toMinutes(window.end)
+    );
 };
 
 /**
- * Generates league/round-robin fixtures
+ * Finds what clashes with a match's scheduled time: players with another
+ * match in the same slot or without the minimum rest between matches, and
+ * players who are not available then
+ * @param {Object} match - The match document, with its new scheduled time
+ * @param {Object} tournament - The match's tournament
+ * @returns {Promise<Array>} Conflicts, empty when there are none
  */
-const generateLeagueFixtures = async (tournament, participants, matches) => {
-    const rounds = participants.length - 1;
-    const matchesPerRound = Math.floor(participants.length / 2);
-    
-    // Create a copy of the participants array
-    let teams = [...participants];
-    
-    // Fixed first team, rotate others
-    for (let round = 0; round < rounds; round++) {
-        for (let match = 0; match < matchesPerRound; match++) {
-            const home = (round + match) % (participants.length - 1);
-            let away = (participants.length - 1 - match + round) % (participants.length - 1);
-            
-            // Last team stays in place, others rotate around it
-            if (match === 0) {
-                away = participants.length - 1;
-            }
-            
-            matches.push({
-                tournament: tournament._id,
-                round: `Round ${round + 1}`,
-                matchNumber: matches.length + 1,
-                player1: { user: teams[home] },
-                player2: { user: teams[away] },
-                status: 'scheduled'
+const findScheduleConflicts = async (match, tournament) => {
+    const { matchDuration, minRestMinutes = 0 } = tournament.fixtureSettings;
+    const players = [match.player1.user, match.player2.user].filter(Boolean).map(getId);
+    const time = new Date(match.scheduledTime).getTime();
+    const restWindow = (matchDuration + minRestMinutes) * 60000;
+
+    const nearby = await Match.find({
+        _id: { $ne: match._id },
+        status: { $in: UNFINISHED_STATUSES },
+        $or: [{ 'player1.user': { $in: players } }, { 'player2.user': { $in: players } }],
+        scheduledTime: { $gt: new Date(time - restWindow), $lt: new Date(time + restWindow) }
+    }).select('tournament round player1.user player2.user scheduledTime');
+
+    const conflicts = [];
+    nearby.forEach(other => {
+        const gapMinutes = Math.round(Math.abs(other.scheduledTime.getTime() - time) / 60000);
+        players
+            .filter(player => sameId(other.player1.user, player) || sameId(other.player2.user, player))
+            .forEach(player => {
+                conflicts.push({
+                    type: gapMinutes < matchDuration ? 'overlap' : 'rest',
+                    player,
+                    match: other._id,
+                    tournament: other.tournament,
+                    round: other.round,
+                    scheduledTime: other.scheduledTime,
+                    gapMinutes
+                });
             });
-        }
-        
-        // Rotate all except first team
-        teams = [teams[0], teams[teams.length - 1], ...teams.slice(1, -1)];
-    }
+    });
+
+    const availability = await getPlayerAvailability([match]);
+    players
+        .filter(player => !isPlayerAvailable(availability, player, new Date(time), matchDuration))
+        .forEach(player => conflicts.push({ type: 'availability', player }));
+
+    return conflicts;
 };
 
-/**
- * Schedules matches based on tournament settings
- */
-const scheduleMatches = (matches, tournament) => {
-    const { fixtureSettings } = tournament;
-    const { matchDuration, breakBetweenMatches, startTime, daysOfWeek } = fixtureSettings;
-    
-    // Sort matches by round to schedule them in order
-    matches.sort((a, b) => {
-        // Simple comparison - in a real app, we'd parse the round names
-        return a.round.localeCompare(b.round);
-    });
-    
-    // Start from the tournament start date
-    let currentDate = new Date(tournament.schedule.tournamentStart);
-    let currentMatchIndex = 0;
-    
-    // Find the next valid day based on daysOfWeek
-    const getNextValidDay = (date) => {
-        let nextDay = new Date(date);
-        let day = date.getDay();
-        
-        while (!daysOfWeek.includes(day)) {
-            nextDay.setDate(nextDay.getDate() + 1);
-            day = nextDay.getDay();
-        }
-        
-        return nextDay;
-    };
-    
-    // Get the next valid day
-    currentDate = getNextValidDay(currentDate);
-    
-    // Schedule matches
-    while (currentMatchIndex < matches.length) {
-        const [hours, minutes] = startTime.split(':').map(Number);
-        let currentTime = new Date(currentDate);
-        currentTime.setHours(hours, minutes, 0, 0);
-        
-        // Schedule matches for this day
-        let matchesToday = 0;
-        
-        while (matchesToday < fixtureSettings.matchesPerDay && currentMatchIndex < matches.length) {
-            matches[currentMatchIndex].scheduledTime = new Date(currentTime);
-            
-            // Move to next match time
-            currentTime = new Date(currentTime.getTime() + (matchDuration + breakBetweenMatches) * 60000);
-            matchesToday++;
-            currentMatchIndex++;
-        }
-        
-        // Move to next day
-        currentDate.setDate(currentDate.getDate() + 1);
-        currentDate = getNextValidDay(currentDate);
-    }
-    
-    return matches;
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
 };
 
 /**
- * Gets the name of a round based on the number of participants
+ * Gets the name of a knockout round from the number of players in it
  */
-const getRoundName = (round, participantCount) => {
-    switch (participantCount) {
+const getRoundName = (playersInRound) => {
+    switch (playersInRound) {
         case 2: return 'Final';
-        case 4: return round === 1 ? 'Semi-Finals' : 'Final';
-        case 8: 
-            if (round === 1) return 'Quarter-Finals';
-            if (round === 2) return 'Semi-Finals';
-            return 'Final';
-        case 16:
-            if (round === 1) return 'Round of 16';
-            if (round === 2) return 'Quarter-Finals';
-            if (round === 3) return 'Semi-Finals';
-            return 'Final';
-        default:
-            if (participantCount <= 4) return `Round ${round}`;
-            if (participantCount <= 8) return `Round ${round} (Top ${participantCount})`;
-            return `Round ${round} (Top ${participantCount})`;
+        case 4: return 'Semi-Finals';
+        case 8: return 'Quarter-Finals';
+        default: return `Round of ${playersInRound}`;
     }
 };
 
@@ -278,22 +1159,14 @@ const getRoundName = (round, participantCount) => {
  * @param {String} tournamentId - ID of the tournament
  */
 const updateTournamentLeaderboard = async (tournamentId) => {
-    const tournament = await Tournament.findById(tournamentId)
-        .populate('participants.player')
-        .populate({
-            path: 'matches',
-            match: { status: 'completed' },
-            populate: [
-                { path: 'player1.user' },
-                { path: 'player2.user' },
-                { path: 'result.winner' },
-                { path: 'result.loser' }
-            ]
-        });
+    const tournament = await getTournamentModel().findById(tournamentId)
+        .populate('participants.player');
     
     if (!tournament) {
         throw new Error('Tournament not found');
     }
+
+    const completedMatches = await Match.find({ tournament: tournament._id, status: 'completed' });
     
     // Reset participant stats
     tournament.participants.forEach(participant => {
@@ -304,15 +1177,28 @@ const updateTournamentLeaderboard = async (tournamentId) => {
             losses: 0,
             goalsFor: 0,
             goalsAgainst: 0,
-            points: 0
+            points: 0,
+            buchholz: 0,
+            sonnebornBerger: 0
         };
+
+        // A Swiss bye is worth a win
+        participant.stats.points += (participant.byeRounds || []).length * tournament.leaderboardSettings.pointsForWin;
     });
+
+    // Results against each opponent (1 win, 0.5 draw, 0 loss) for the Swiss tiebreakers
+    const opponentResults = new Map();
+    const recordResult = (participant, opponent, result) => {
+        const key = getId(participant.player).toString();
+        if (!opponentResults.has(key)) opponentResults.set(key, []);
+        opponentResults.get(key).push({ opponent, result });
+    };
     
     // Process completed matches
-    tournament.matches.forEach(match => {
+    completedMatches.forEach(match => {
         if (match.status === 'completed' && match.result) {
-            const player1 = tournament.participants.find(p => p.player._id.equals(match.player1.user._id));
-            const player2 = tournament.participants.find(p => p.player._id.equals(match.player2.user._id));
+            const player1 = tournament.participants.find(p => sameId(p.player, match.player1.user));
+            const player2 = tournament.participants.find(p => sameId(p.player, match.player2.user));
             
             if (player1 && player2) {
                 // Update matches played
@@ -331,8 +1217,10 @@ const updateTournamentLeaderboard = async (tournamentId) => {
                     player2.stats.draws++;
                     player1.stats.points += tournament.leaderboardSettings.pointsForDraw;
                     player2.stats.points += tournament.leaderboardSettings.pointsForDraw;
+                    recordResult(player1, player2, 0.5);
+                    recordResult(player2, player1, 0.5);
                 } else if (match.result.winner) {
-                    const isPlayer1Winner = match.result.winner._id.equals(player1.player._id);
+                    const isPlayer1Winner = sameId(match.result.winner, player1.player);
                     
                     if (isPlayer1Winner) {
                         player1.stats.wins++;
@@ -345,10 +1233,29 @@ const updateTournamentLeaderboard = async (tournamentId) => {
                         player2.stats.points += tournament.leaderboardSettings.pointsForWin;
                         player1.stats.points += tournament.leaderboardSettings.pointsForLoss;
                     }
+                    recordResult(player1, player2, isPlayer1Winner ? 1 : 0);
+                    recordResult(player2, player1, isPlayer1Winner ? 0 : 1);
+                } else if (match.result.isWalkover) {
+                    // Neither player turned up: a loss for both
+                    player1.stats.losses++;
+                    player2.stats.losses++;
+                    player1.stats.points += tournament.leaderboardSettings.pointsForLoss;
+                    player2.stats.points += tournament.leaderboardSettings.pointsForLoss;
+                    recordResult(player1, player2, 0);
+                    recordResult(player2, player1, 0);
                 }
             }
         }
     });
+
+    // Buchholz: opponents' points; Sonneborn-Berger: points of opponents beaten, half for draws
+    tournament.participants.forEach(participant => {
+        const results = opponentResults.get(getId(participant.player).toString()) || [];
+        participant.stats.buchholz = results.reduce((total, { opponent }) => total + opponent.stats.points, 0);
+        participant.stats.sonnebornBerger = results.reduce(
+            (total, { opponent, result }) => total + opponent.stats.points * result, 0
+        );
+    });
     
     // Sort participants based on leaderboard settings
     tournament.participants.sort((a, b) => {
@@ -371,6 +1278,18 @@ const updateTournamentLeaderboard = async (tournamentId) => {
                         return b.stats.goalsFor - a.stats.goalsFor;
                     }
                     break;
+
+                case 'buchholz':
+                    if (a.stats.buchholz !== b.stats.buchholz) {
+                        return b.stats.buchholz - a.stats.buchholz;
+                    }
+                    break;
+
+                case 'sonnebornBerger':
+                    if (a.stats.sonnebornBerger !== b.stats.sonnebornBerger) {
+                        return b.stats.sonnebornBerger - a.stats.sonnebornBerger;
+                    }
+                    break;
                     
                 case 'headToHead':
                     // In a real app, we'd check head-to-head results
@@ -392,91 +1311,551 @@ const updateTournamentLeaderboard = async (tournamentId) => {
 };
 
 /**
- * Generates the next round of fixtures for a knockout tournament
+ * Moves every decided knockout result on to the next round of its bracket.
+ * Brackets already advance as each result is verified; this re-syncs a whole
+ * tournament, e.g. after results were corrected by hand.
  * @param {String} tournamentId - ID of the tournament
  */
 const generateNextKnockoutRound = async (tournamentId) => {
-    const tournament = await Tournament.findById(tournamentId)
-        .populate('matches')
-        .populate('participants.player');
+    const tournament = await getTournamentModel().findById(tournamentId);
     
     if (!tournament) {
         throw new Error('Tournament not found');
     }
-    
-    // Get all completed matches
-    const completedMatches = tournament.matches.filter(m => m.status === 'completed');
-    const lastRound = Math.max(...tournament.matches.map(m => parseInt(m.round) || 0));
-    const nextRound = lastRound + 1;
-    
-    // Get winners from the last round
-    const winners = [];
-    const lastRoundMatches = tournament.matches.filter(m => m.round === lastRound.toString());
-    
-    for (const match of lastRoundMatches) {
-        if (match.result && match.result.winner) {
-            winners.push(match.result.winner);
-        } else {
-            // If there's no winner but the match is completed, it might be a bye
-            if (match.player1 && !match.player2) {
-                winners.push(match.player1.user);
-            }
+
+    const decidedMatches = await Match.find({
+        tournament: tournament._id,
+        bracket: { $exists: true },
+        status: 'completed'
+    }).sort({ roundNumber: 1, matchNumber: 1 });
+
+    for (const match of decidedMatches) {
+        await advanceBracket(match);
+    }
+
+    return getTournamentModel().findById(tournament._id);
+};
+
+/**
+ * Moves the winner and loser of a verified bracket match into the slots they
+ * are linked to, and completes the tournament once its last match is decided
+ * @param {Object} match - The verified match document
+ */
+const advanceBracket = async (match) => {
+    const outcome = await getBracketOutcome(match);
+    if (!outcome) return;
+
+    const { winner, loser } = outcome;
+
+    // A decided series needs none of its remaining games, nor a forfeited tie its other leg
+    const slotGames = (match.series && match.series.id && { 'series.id': match.series.id }) ||
+        (match.tie && match.tie.id && { 'tie.id': match.tie.id });
+    if (slotGames) {
+        await Match.updateMany(
+            { ...slotGames, status: { $ne: 'completed' } },
+            { status: 'cancelled' }
+        );
+    }
+
+    const { winnerTo, loserTo } = match.progression || {};
+    const hasNextMatch = Boolean(winnerTo && winnerTo.match);
+
+    // Both players forfeited: nobody goes through, so whoever they would have met advances
+    if (!winner) {
+        await vacateBracketSlot(winnerTo);
+        await vacateBracketSlot(loserTo);
+        if (!hasNextMatch) {
+            await completeTournament(getId(match.tournament));
         }
+        return;
     }
-    
-    // If we have an odd number of winners, one gets a bye
-    if (winners.length > 1 && winners.length % 2 !== 0) {
-        const byeIndex = Math.floor(Math.random() * winners.length);
-        const [byePlayer] = winners.splice(byeIndex, 1);
-        
-        // Create a bye match
-        const byeMatch = new Match({
-            tournament: tournament._id,
-            round: nextRound.toString(),
-            matchNumber: tournament.matches.length + 1,
-            player1: { user: byePlayer },
-            status: 'completed',
-            result: {
-                winner: byePlayer,
-                isDraw: false,
-                confirmedBy: tournament.organizer
+
+    // The winners-bracket champion taking the grand final makes the reset unnecessary
+    if (match.bracket === 'grand_final' && hasNextMatch && sameId(winner, match.player1.user)) {
+        const reset = await Match.findById(winnerTo.match);
+        if (reset) {
+            await Match.updateMany(
+                reset.series && reset.series.id ? { 'series.id': reset.series.id } : { _id: reset._id },
+                { status: 'cancelled' }
+            );
+        }
+        await completeTournament(getId(match.tournament));
+        return;
+    }
+
+    // Only the final (and the third-place playoff) have nowhere to send the winner
+    if (!hasNextMatch) {
+        await completeTournament(getId(match.tournament));
+        return;
+    }
+
+    await fillBracketSlot(winnerTo, winner);
+    // A player who went through by walkover against an empty slot leaves no loser
+    if (loser) {
+        await fillBracketSlot(loserTo, loser);
+    } else {
+        await vacateBracketSlot(loserTo);
+    }
+};
+
+/**
+ * Winner and loser of a bracket slot: the match result, for a two-legged tie
+ * the aggregate result once both legs are verified, or for a series the first
+ * player to win the majority of its games. Both players forfeiting any leg or
+ * game forfeits the whole slot.
+ * @returns {Promise<Object|null>} { winner, loser }, both null when forfeited,
+ * or null while undecided
+ */
+const getBracketOutcome = async (match) => {
+    const forfeited = { winner: null, loser: null };
+
+    if (match.tie && match.tie.id) {
+        const legs = await Match.find({ 'tie.id': match.tie.id });
+        if (legs.some(leg => leg.isDoubleForfeit())) return forfeited;
+
+        const tournament = await getTournamentModel().findById(getId(match.tournament)).select('settings');
+        return getTieResult(legs, Boolean(tournament && tournament.settings.awayGoalsRule));
+    }
+
+    if (match.series && match.series.id) {
+        const games = await Match.find({ 'series.id': match.series.id });
+        return games.some(game => game.isDoubleForfeit()) ? forfeited : getSeriesResult(games);
+    }
+
+    if (match.isDoubleForfeit()) return forfeited;
+
+    const { winner, loser, isDraw } = match.result || {};
+    return !isDraw && winner ? { winner, loser } : null;
+};
+
+/**
+ * Decides a two-legged tie on aggregate score, then away goals when the
+ * tournament plays that rule, then the second leg's penalty shootout
+ * @param {Array} legs - Both legs of the tie
+ * @param {Boolean} awayGoalsRule - Whether away goals break a level aggregate
+ * @returns {Object|null} { winner, loser }, or null while the tie is undecided
+ */
+const getTieResult = (legs, awayGoalsRule) => {
+    if (legs.length < 2 || legs.some(leg => leg.status !== 'completed')) return null;
+
+    const [firstLeg, secondLeg] = [...legs].sort((a, b) => a.tie.leg - b.tie.leg);
+    return decideTie(firstLeg, secondLeg, awayGoalsRule);
+};
+
+/**
+ * Decides a two-legged tie from the scores of its legs, whether or not they
+ * have been verified yet
+ * @param {Object} firstLeg - The first leg
+ * @param {Object} secondLeg - The second leg
+ * @param {Boolean} awayGoalsRule - Whether away goals break a level aggregate
+ * @returns {Object|null} { winner, loser }, or null if the scores leave the tie level
+ */
+const decideTie = (firstLeg, secondLeg, awayGoalsRule) => {
+    const home = getId(firstLeg.player1.user);
+    const away = getId(firstLeg.player2.user);
+    const decide = (homeWins) => (homeWins ? { winner: home, loser: away } : { winner: away, loser: home });
+
+    // The first-leg home player is player2 in the second leg, where extra time
+    // counts towards the aggregate
+    const goals = (side) => (side.score || 0) + (side.extraTimeScore || 0);
+    const homeAggregate = goals(firstLeg.player1) + goals(secondLeg.player2);
+    const awayAggregate = goals(firstLeg.player2) + goals(secondLeg.player1);
+    if (homeAggregate !== awayAggregate) {
+        return decide(homeAggregate > awayAggregate);
+    }
+
+    if (awayGoalsRule) {
+        const homeAwayGoals = goals(secondLeg.player2);
+        const awayAwayGoals = goals(firstLeg.player2);
+        if (homeAwayGoals !== awayAwayGoals) {
+            return decide(homeAwayGoals > awayAwayGoals);
+        }
+    }
+
+    const homePenalties = secondLeg.player2.penalties;
+    const awayPenalties = secondLeg.player1.penalties;
+    if (homePenalties != null && awayPenalties != null && homePenalties !== awayPenalties) {
+        return decide(homePenalties > awayPenalties);
+    }
+
+    return null;
+};
+
+/**
+ * Decides a best-of-N series once a player has won the majority of its games
+ * @param {Array} games - Every game of the series
+ * @returns {Object|null} { winner, loser }, or null while the series is undecided
+ */
+const getSeriesResult = (games) => {
+    if (games.length === 0) return null;
+
+    const winsNeeded = Math.ceil(games[0].series.bestOf / 2);
+    const wins = new Map();
+    for (const game of games) {
+        if (game.status !== 'completed' || !game.result.winner) continue;
+
+        const winner = getId(game.result.winner).toString();
+        wins.set(winner, (wins.get(winner) || 0) + 1);
+        if (wins.get(winner) >= winsNeeded) {
+            return {
+                winner: getId(game.result.winner),
+                loser: getId(game.result.loser)
+            };
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Places a player into a linked bracket slot, opening the match for play once
+ * both players are known. A two-legged tie gets the player in both legs, on
+ * the opposite side for the second leg, and a series in all of its games.
+ */
+const fillBracketSlot = async (target, player) => {
+    if (!target || !target.match || !player) return null;
+
+    const next = await Match.findById(target.match);
+    if (!next) return null;
+
+    let resultHours = null;
+    for (const { match, slot } of await getSlotGames(next, target.slot)) {
+        match[slot].user = getId(player);
+        if (match.status === 'pending' && match.player1.user && match.player2.user) {
+            match.status = 'scheduled';
+
+            // Opened after its round's deadline: the players get a fresh one
+            if (match.deadline && match.deadline <= new Date()) {
+                if (resultHours === null) {
+                    const tournament = await getTournamentModel().findById(getId(match.tournament)).select('fixtureSettings');
+                    resultHours = (tournament && tournament.fixtureSettings.resultDeadlineHours) || DEFAULT_RESULT_DEADLINE_HOURS;
+                }
+                match.deadline = new Date(Date.now() + resultHours * 60 * 60 * 1000);
             }
-        });
-        
-        await byeMatch.save();
-        tournament.matches.push(byeMatch._id);
-        winners.push(byePlayer);
+        }
+        await match.save();
     }
-    
-    // Create matches for the next round
-    for (let i = 0; i < winners.length; i += 2) {
-        if (i + 1 < winners.length) {
-            const match = new Match({
-                tournament: tournament._id,
-                round: nextRound.toString(),
-                matchNumber: tournament.matches.length + 1,
-                player1: { user: winners[i] },
-                player2: { user: winners[i + 1] },
-                status: 'scheduled'
-            });
-            
-            await match.save();
-            tournament.matches.push(match._id);
+
+    await settleVacantSlots(next);
+    return next;
+};
+
+/**
+ * Marks a linked bracket slot as one nobody will fill, because both players
+ * of the match feeding it forfeited
+ */
+const vacateBracketSlot = async (target) => {
+    if (!target || !target.match) return null;
+
+    const next = await Match.findById(target.match);
+    if (!next) return null;
+
+    for (const { match, slot } of await getSlotGames(next, target.slot)) {
+        if (match.vacantSlots.includes(slot)) continue;
+        match.vacantSlots.push(slot);
+        await match.save();
+    }
+
+    await settleVacantSlots(next);
+    return next;
+};
+
+/**
+ * Decides a bracket match with an empty slot without it being played: the
+ * player in the other slot goes through by walkover once known, and with both
+ * slots empty the match is forfeited in turn
+ * @param {Object} match - Any game of the bracket slot
+ */
+const settleVacantSlots = async (match) => {
+    if (match.vacantSlots.length === 0 || ['completed', 'cancelled'].includes(match.status)) return;
+
+    const waitingSide = ['player1', 'player2'].find(side => !match.vacantSlots.includes(side));
+    if (waitingSide && !match[waitingSide].user) return;
+
+    for (const { match: game } of await getSlotGames(match, waitingSide || 'player1')) {
+        if (['completed', 'cancelled'].includes(game.status)) continue;
+
+        // Tie legs swap sides, so each game knows its own empty slot
+        const side = ['player1', 'player2'].find(s => !game.vacantSlots.includes(s));
+        if (side) {
+            await game.recordWalkover(side, 'Opponent forfeited their previous match');
+        } else {
+            await game.recordDoubleForfeit('Both players forfeited their previous matches');
         }
     }
-    
-    // Update tournament status if this was the final
-    if (winners.length <= 1) {
-        tournament.status = 'completed';
-        tournament.winner = winners[0];
+
+    await advanceBracket(match);
+};
+
+/**
+ * Every match making up a bracket slot, with the side a player entering the
+ * slot takes in each: both legs of a tie (swapping sides for the second leg)
+ * or all games of a series
+ * @returns {Promise<Array>} { match, slot }, starting with the given match
+ */
+const getSlotGames = async (match, slot) => {
+    const games = [{ match, slot }];
+    if (match.tie && match.tie.id) {
+        const otherLeg = await Match.findOne({ 'tie.id': match.tie.id, _id: { $ne: match._id } });
+        if (otherLeg) {
+            games.push({ match: otherLeg, slot: slot === 'player1' ? 'player2' : 'player1' });
+        }
     }
-    
+    if (match.series && match.series.id) {
+        const otherGames = await Match.find({ 'series.id': match.series.id, _id: { $ne: match._id } });
+        otherGames.forEach(game => games.push({ match: game, slot }));
+    }
+    return games;
+};
+
+/**
+ * Re-routes a bracket after the result of one of its matches changed. The
+ * players the match sent on are taken back out of their slots, along with
+ * any results those slots went on to produce, and the new winner and loser
+ * are sent on in their place.
+ * @param {Object} match - The corrected match document
+ * @param {Object|null} previous - The slot's outcome before the correction
+ * @returns {Promise<Array>} { player1, player2 } of every match whose result was wiped
+ */
+const reviseBracketResult = async (match, previous) => {
+    const outcome = await getBracketOutcome(match);
+    if (sameOutcome(outcome, previous)) return [];
+
+    const { winnerTo, loserTo } = match.progression || {};
+    const wiped = [];
+    await clearBracketSlot(winnerTo, wiped);
+    await clearBracketSlot(loserTo, wiped);
+
+    if (!outcome) {
+        // A series or tie that is open again needs the games it cancelled
+        const slotGames = (match.series && match.series.id && { 'series.id': match.series.id }) ||
+            (match.tie && match.tie.id && { 'tie.id': match.tie.id });
+        if (slotGames) {
+            await Match.updateMany({ ...slotGames, status: 'cancelled' }, { status: 'scheduled' });
+        }
+        return wiped;
+    }
+
+    await advanceBracket(match);
+    return wiped;
+};
+
+/**
+ * Empties a linked bracket slot, first clearing whatever the slot's match
+ * already decided further on. Its games go back to waiting for a player.
+ */
+const clearBracketSlot = async (target, wiped) => {
+    if (!target || !target.match) return;
+
+    const next = await Match.findById(target.match);
+    if (!next) return;
+
+    const games = await getSlotGames(next, target.slot);
+    if (games.some(({ match }) => match.status === 'completed')) {
+        const { winnerTo, loserTo } = next.progression || {};
+        await clearBracketSlot(winnerTo, wiped);
+        await clearBracketSlot(loserTo, wiped);
+    }
+
+    for (const { match, slot } of games) {
+        if (match.status === 'completed') {
+            wiped.push({ player1: getId(match.player1.user), player2: getId(match.player2.user) });
+        }
+
+        match.clearSubmissions();
+        match.clearResult();
+        match[slot].user = null;
+        match.vacantSlots.pull(slot);
+        match.status = 'pending';
+        await match.save();
+    }
+};
+
+/**
+ * Whether two bracket outcomes send the same players the same way
+ */
+const sameOutcome = (a, b) => {
+    if (!a || !b) return a === b;
+    return String(getId(a.winner)) === String(getId(b.winner)) &&
+        String(getId(a.loser)) === String(getId(b.loser));
+};
+
+/**
+ * Counts a verified match in the stats (once) and advances tournament
+ * progression (once). The match is claimed before the tournament moves on and
+ * released if that fails, so calling this again retries the progression.
+ * @param {Object} match - The verified match document
+ */
+const processVerifiedMatch = async (match) => {
+    if (match.status !== 'completed') return;
+
+    await recordMatchStats(match);
+
+    const claim = await Match.updateOne(
+        { _id: match._id, status: 'completed', 'result.progressed': { $ne: true } },
+        { $set: { 'result.progressed': true } }
+    );
+    match.result.progressed = true;
+    if (claim.modifiedCount === 0) return;
+
+    try {
+        await advanceTournament(match);
+    } catch (error) {
+        await Match.updateOne({ _id: match._id }, { $set: { 'result.progressed': false } });
+        match.result.progressed = false;
+        throw error;
+    }
+};
+
+/**
+ * Moves a tournament on from a verified result
+ */
+const advanceTournament = async (match) => {
+    if (match.bracket) {
+        await advanceBracket(match);
+        return;
+    }
+
+    const tournament = await getTournamentModel().findById(getId(match.tournament)).select('format');
+    if (!tournament) return;
+
+    switch (tournament.format) {
+        case 'league':
+        case 'group':
+            // The final table places everyone once the last match is decided
+            await completeTournament(tournament._id);
+            break;
+        case 'group+knockout':
+            await generateKnockoutStage(tournament._id);
+            break;
+        case 'swiss':
+            await generateNextSwissRound(tournament._id);
+            break;
+        case 'ladder':
+            await applyLadderResult(match);
+            break;
+    }
+};
+
+/**
+ * Completes a tournament once every match is decided: records the final
+ * placings in `winners`, assigns prizes from `settings.prizeDistribution`,
+ * queues their payouts, sends qualifiers on to their next event and awards
+ * season points
+ * @param {String} tournamentId - ID of the tournament
+ */
+const completeTournament = async (tournamentId) => {
+    const matches = await Match.find({ tournament: tournamentId });
+    if (matches.some(m => m.status !== 'completed' && m.status !== 'cancelled')) {
+        return getTournamentModel().findById(tournamentId);
+    }
+
+    // Final standings also settle the order of players knocked out in groups
+    const tournament = await updateTournamentLeaderboard(tournamentId);
+    const placings = getBracketPlacings(matches, Boolean(tournament.settings.awayGoalsRule));
+
+    // Everyone else in table order, disqualified players last
+    const placed = new Set(placings.map(p => p.player.toString()));
+    [...tournament.participants]
+        .sort((a, b) => (a.status === 'disqualified') - (b.status === 'disqualified'))
+        .map(p => getId(p.player))
+        .filter(player => !placed.has(player.toString()))
+        .forEach(player => placings.push({ player, position: placings.length + 1 }));
+
+    tournament.winners = placings;
+    assignPrizes(tournament);
+    tournament.status = 'completed';
     await tournament.save();
+
+    await queuePrizePayouts(tournament);
+    await applyQualification(tournament);
+    await awardSeasonPoints(tournament);
     return tournament;
 };
 
+/**
+ * Final placings decided by a tournament's brackets. Players knocked out in
+ * the same round share a position (both losing semi-finalists finish 3rd),
+ * unless a third-place playoff separates them.
+ * @param {Array} matches - Every match of the tournament
+ * @param {Boolean} awayGoalsRule - Whether away goals decide level ties
+ * @returns {Array} { player, position }, best first
+ */
+const getBracketPlacings = (matches, awayGoalsRule) => {
+    const byId = new Map(matches.map(m => [m._id.toString(), m]));
+    const isLive = (target) => {
+        const next = target && target.match && byId.get(getId(target.match).toString());
+        return Boolean(next) && next.status !== 'cancelled';
+    };
+
+    // Rounds left after a match: 0 for the deciding final
+    const depthOf = (match) => {
+        let depth = 0;
+        while (isLive(match.progression && match.progression.winnerTo)) {
+            match = byId.get(getId(match.progression.winnerTo.match).toString());
+            depth++;
+        }
+        return depth;
+    };
+
+    // Each bracket slot is one match, both legs of a two-legged tie or the games of a series
+    const slots = new Map();
+    matches
+        .filter(m => m.bracket && m.status === 'completed')
+        .forEach(m => {
+            const key = (m.tie && m.tie.id) || (m.series && m.series.id) || m._id.toString();
+            if (!slots.has(key)) slots.set(key, []);
+            slots.get(key).push(m);
+        });
+
+    // Lower rank finishes higher; fractions sit between knockout rounds
+    const ranked = [];
+    slots.forEach(legs => {
+        let outcome;
+        if (legs[0].tie && legs[0].tie.id) {
+            outcome = getTieResult(legs, awayGoalsRule);
+        } else if (legs[0].series && legs[0].series.id) {
+            outcome = getSeriesResult(legs);
+        } else {
+            outcome = !legs[0].result.isDraw && legs[0].result.winner ? legs[0].result : null;
+        }
+        if (!outcome) return;
+
+        const match = legs[0];
+        // A walkover against an empty slot has no loser to place
+        if (match.bracket === 'third_place') {
+            ranked.push({ player: getId(outcome.winner), rank: 2 });
+            if (outcome.loser) ranked.push({ player: getId(outcome.loser), rank: 2.5 });
+            return;
+        }
+
+        const depth = depthOf(match);
+        if (depth === 0) {
+            ranked.push({ player: getId(outcome.winner), rank: 0 });
+        }
+        if (outcome.loser && !isLive(match.progression && match.progression.loserTo)) {
+            ranked.push({ player: getId(outcome.loser), rank: depth + 1 });
+        }
+    });
+
+    return ranked
+        .sort((a, b) => a.rank - b.rank)
+        .map(({ player, rank }) => ({
+            player,
+            position: 1 + ranked.filter(other => other.rank < rank).length
+        }));
+};
+
 module.exports = {
     generateFixtures,
     updateTournamentLeaderboard,
-    generateNextKnockoutRound
+    generateNextKnockoutRound,
+    generateNextSwissRound,
+    generateKnockoutStage,
+    completeTournament,
+    findScheduleConflicts,
+    processVerifiedMatch,
+    getBracketOutcome,
+    reviseBracketResult,
+    decideTie
 };
@@ -211,6 +211,83 @@ const truncateText = (text, length = 100) => {
     return text.substring(0, length) + '...';
 };
 
+/**
+ * Check that a timezone name is a valid IANA timezone
+ * @param {string} timeZone - Timezone name, e.g. 'Africa/Nairobi'
+ * @returns {boolean} Whether the timezone is valid
+ */
+const isValidTimezone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Get the wall-clock date and time of a moment in a timezone
+ * @param {Date} date - The moment
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} { year, month (1-12), day, hour, minute, weekday (0 = Sunday) }
+ */
+const getZonedDateParts = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        weekday: 'short'
+    }).formatToParts(date);
+    const value = (type) => parts.find(part => part.type === type).value;
+
+    return {
+        year: Number(value('year')),
+        month: Number(value('month')),
+        day: Number(value('day')),
+        hour: Number(value('hour')),
+        minute: Number(value('minute')),
+        weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(value('weekday'))
+    };
+};
+
+/**
+ * Get the moment a wall-clock time happens in a timezone. Fields may run over
+ * like Date.UTC's (minute 90 is half past the next hour).
+ * @param {Object} parts - { year, month (1-12), day, hour, minute }
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} The moment
+ */
+const zonedTimeToDate = ({ year, month, day, hour = 0, minute = 0 }, timeZone) => {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    const offsetAt = (timestamp) => {
+        const zoned = getZonedDateParts(new Date(timestamp), timeZone);
+        return Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute) - timestamp;
+    };
+
+    // Check the offset again at the result in case it falls across a DST change
+    const guess = wallClock - offsetAt(wallClock);
+    return new Date(wallClock - offsetAt(guess));
+};
+
+/**
+ * Get the id of a reference, whether or not it has been populated
+ * @param {Object} value - An id or a populated document
+ * @returns {Object} The id
+ */
+const getId = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Check two references point at the same document
+ * @param {Object} a - An id or a populated document
+ * @param {Object} b - An id or a populated document
+ * @returns {boolean} Whether both are set and share an id
+ */
+const sameId = (a, b) => Boolean(a && b) && getId(a).toString() === getId(b).toString();
+
 module.exports = {
     generateRandomString,
     formatPhoneNumber,
@@ -224,5 +301,10 @@ module.exports = {
     generatePagination,
     delay,
     validateEmail,
-    truncateText
+    truncateText,
+    isValidTimezone,
+    getZonedDateParts,
+    zonedTimeToDate,
+    getId,
+    sameId
 };
\ No newline at end of file
@@ -0,0 +1,247 @@
+const Match = require('../models/Match');
+const Leaderboard = require('../models/Leaderboard');
+const { getId, sameId } = require('./helpers');
+const { RequestError } = require('./errors');
+
+// Ladder positions are leaderboard entries of type 'ladder', one set per
+// ladder tournament, ordered by `rank`
+const getLadderQuery = (tournamentId) => ({ type: 'ladder', period: getId(tournamentId).toString() });
+
+// A challenge still waiting to be accepted, played or verified
+const OPEN_CHALLENGE_STATUSES = ['pending', 'scheduled', 'in_progress', 'disputed'];
+
+/**
+ * Brings a ladder in line with the tournament's participants. Players already
+ * on the ladder keep their order, new players join at the bottom and players
+ * who have left or been disqualified drop off.
+ * @param {Object} tournament - The ladder tournament
+ * @param {Array} players - Player ids; new players join in this order
+ * @returns {Promise<Array>} Ladder entries, top first
+ */
+const syncLadder = async (tournament, players = null) => {
+    const query = getLadderQuery(tournament._id);
+    const active = players || tournament.participants
+        .filter(p => p.status !== 'disqualified')
+        .map(p => getId(p.player));
+    const activeIds = new Set(active.map(id => getId(id).toString()));
+
+    const entries = await Leaderboard.find(query).sort({ rank: 1 });
+    const ladder = entries.filter(entry => activeIds.has(entry.player.toString()));
+    await Leaderboard.deleteMany({ ...query, _id: { $nin: ladder.map(entry => entry._id) } });
+
+    const onLadder = new Set(ladder.map(entry => entry.player.toString()));
+    active
+        .filter(player => !onLadder.has(getId(player).toString()))
+        .forEach(player => {
+            ladder.push(new Leaderboard({ ...query, player: getId(player), tournament: tournament._id }));
+        });
+
+    for (const [index, entry] of ladder.entries()) {
+        if (entry.isNew || entry.rank !== index + 1) {
+            entry.previousRank = entry.rank;
+            entry.rank = index + 1;
+            await entry.save();
+        }
+    }
+
+    return ladder;
+};
+
+/**
+ * Gets a ladder's current positions after settling any expired challenges
+ * @param {Object} tournament - The ladder tournament
+ * @returns {Promise<Array>} Ladder entries with players populated, top first
+ */
+const getLadder = async (tournament) => {
+    await expireChallenges(tournament._id);
+    await syncLadder(tournament);
+
+    return Leaderboard.find(getLadderQuery(tournament._id))
+        .populate('player', 'efootballId profile')
+        .sort({ rank: 1 });
+};
+
+/**
+ * Challenges a player up to `settings.ladderChallengeRange` places higher.
+ * The challenge is a pending match the challenged player must accept within
+ * `settings.ladderResponseHours`, or forfeit.
+ * @param {Object} tournament - The ladder tournament
+ * @param {String} challengerId - The player issuing the challenge
+ * @param {String} opponentId - The player being challenged
+ * @returns {Promise<Object>} The challenge match
+ */
+const createChallenge = async (tournament, challengerId, opponentId) => {
+    if (tournament.format !== 'ladder') {
+        throw new RequestError('Tournament is not a ladder');
+    }
+
+    if (tournament.status !== 'active') {
+        throw new RequestError('Challenges can only be made while the ladder is active');
+    }
+
+    await expireChallenges(tournament._id);
+    const ladder = await syncLadder(tournament);
+
+    const challenger = ladder.find(entry => sameId(entry.player, challengerId));
+    const opponent = ladder.find(entry => sameId(entry.player, opponentId));
+    if (!challenger || !opponent) {
+        throw new RequestError('Both players must be on the ladder');
+    }
+
+    const range = tournament.settings.ladderChallengeRange;
+    if (opponent.rank >= challenger.rank || challenger.rank - opponent.rank > range) {
+        throw new RequestError(`You can only challenge players up to ${range} places above you`);
+    }
+
+    const openChallenge = await Match.exists({
+        tournament: tournament._id,
+        'challenge.challenger': { $exists: true },
+        status: { $in: OPEN_CHALLENGE_STATUSES },
+        $or: [challengerId, opponentId].flatMap(player => [
+            { 'player1.user': player },
+            { 'player2.user': player }
+        ])
+    });
+    if (openChallenge) {
+        throw new RequestError('One of the players already has an open challenge');
+    }
+
+    const respondBy = new Date(Date.now() + tournament.settings.ladderResponseHours * 60 * 60 * 1000);
+    const match = new Match({
+        tournament: tournament._id,
+        round: 'Ladder Challenge',
+        matchNumber: await Match.countDocuments({ tournament: tournament._id }) + 1,
+        player1: { user: challengerId },
+        player2: { user: opponentId },
+        scheduledTime: respondBy,
+        // Played and reported within the usual result window once the response window closes
+        deadline: new Date(respondBy.getTime() + tournament.fixtureSettings.resultDeadlineHours * 60 * 60 * 1000),
+        status: 'pending',
+        challenge: {
+            challenger: challengerId,
+            respondBy
+        }
+    });
+
+    return match.save();
+};
+
+/**
+ * Accepts or declines a challenge on behalf of the challenged player.
+ * Declining forfeits the match to the challenger.
+ * @param {Object} match - The challenge match
+ * @param {String} playerId - The player responding
+ * @param {Boolean} accept - Whether the challenge is accepted
+ * @param {Date} scheduledTime - When an accepted challenge will be played
+ * @returns {Promise<Object>} The updated match
+ */
+const respondToChallenge = async (match, playerId, accept, scheduledTime = null) => {
+    if (!match.challenge || !match.challenge.challenger) {
+        throw new RequestError('Match is not a ladder challenge');
+    }
+
+    if (match.status !== 'pending') {
+        throw new RequestError('Challenge has already been answered');
+    }
+
+    if (!sameId(match.player2.user, playerId)) {
+        throw new RequestError('Only the challenged player can respond to this challenge', 403);
+    }
+
+    if (match.challenge.respondBy < new Date()) {
+        await forfeitChallenge(match, 'Challenge was not accepted in time');
+        throw new RequestError('The deadline to respond has passed and the challenge was forfeited');
+    }
+
+    if (!accept) {
+        return forfeitChallenge(match, 'Challenge was declined');
+    }
+
+    if (scheduledTime && match.deadline && scheduledTime > match.deadline) {
+        throw new RequestError(`The challenge must be played by ${match.deadline.toISOString()}`);
+    }
+
+    match.challenge.acceptedAt = new Date();
+    match.scheduledTime = scheduledTime || new Date();
+    match.status = 'scheduled';
+    return match.save();
+};
+
+/**
+ * Forfeits every challenge of a ladder left unanswered past its deadline
+ * @param {String} tournamentId - ID of the ladder tournament
+ * @returns {Promise<Number>} How many challenges were forfeited
+ */
+const expireChallenges = async (tournamentId) => {
+    const expired = await Match.find({
+        tournament: tournamentId,
+        status: 'pending',
+        'challenge.respondBy': { $lt: new Date() }
+    });
+
+    for (const match of expired) {
+        await forfeitChallenge(match, 'Challenge was not accepted in time');
+    }
+
+    return expired.length;
+};
+
+/**
+ * Awards a challenge to the challenger as a walkover, which moves the ladder
+ * and counts in the stats like any other verified result
+ */
+const forfeitChallenge = async (match, reason) => {
+    await match.recordWalkover('player1', reason);
+
+    // Required here: the fixture generator requires this module
+    const { processVerifiedMatch } = require('./fixtureGenerator');
+    await processVerifiedMatch(match);
+    return match;
+};
+
+/**
+ * Records a verified challenge result on the ladder. A challenger who wins
+ * swaps places with the player they beat; otherwise positions stay the same.
+ * @param {Object} match - The completed challenge match
+ */
+const applyLadderResult = async (match) => {
+    if (match.status !== 'completed' || !match.challenge || !match.challenge.challenger) return;
+
+    const query = getLadderQuery(match.tournament);
+    const [challenger, defender] = await Promise.all([
+        Leaderboard.findOne({ ...query, player: getId(match.player1.user) }),
+        Leaderboard.findOne({ ...query, player: getId(match.player2.user) })
+    ]);
+    if (!challenger || !defender) return;
+
+    const { winner, isDraw } = match.result;
+    [challenger, defender].forEach(entry => {
+        entry.totalMatches += 1;
+        if (isDraw) {
+            entry.draws += 1;
+            entry.points += 1;
+        } else if (sameId(winner, entry.player)) {
+            entry.wins += 1;
+            entry.points += 3;
+        } else {
+            entry.losses += 1;
+        }
+        entry.previousRank = entry.rank;
+    });
+
+    if (!isDraw && sameId(winner, challenger.player) && challenger.rank > defender.rank) {
+        [challenger.rank, defender.rank] = [defender.rank, challenger.rank];
+    }
+
+    await challenger.save();
+    await defender.save();
+};
+
+module.exports = {
+    syncLadder,
+    getLadder,
+    createChallenge,
+    respondToChallenge,
+    expireChallenges,
+    applyLadderResult
+};
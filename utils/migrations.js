@@ -0,0 +1,99 @@
+const Season = require('../models/Season');
+const Match = require('../models/Match');
+const Tournament = require('../models/Tournament');
+const Leaderboard = require('../models/Leaderboard');
+const EvidenceHash = require('../models/EvidenceHash');
+const { getSeasonQuery, updateSeasonStandings } = require('./seasons');
+const { getHashBands } = require('./screenshots');
+
+/**
+ * Brings data written by earlier versions in line with the current models.
+ * Runs on every start, so each step is safe to repeat.
+ */
+const runMigrations = async () => {
+    await moveSeasonStandings();
+    await indexEvidenceHashes();
+    await markCountedResults();
+    await markDrawnKnockouts();
+};
+
+/**
+ * Seasons used to keep their standings on the monthly or weekly leaderboard
+ * of their start date, one season per period. Drops that unique period index
+ * and rebuilds each season's standings on its own leaderboard.
+ */
+const moveSeasonStandings = async () => {
+    await Season.syncIndexes();
+
+    const seasons = await Season.find({ 'results.0': { $exists: true } });
+    for (const season of seasons) {
+        if (!(await Leaderboard.exists(getSeasonQuery(season)))) {
+            await updateSeasonStandings(season);
+        }
+    }
+};
+
+/**
+ * Evidence hashes used to be read straight off every match. Copies them into
+ * the indexed EvidenceHash collection the first time it is empty.
+ */
+const indexEvidenceHashes = async () => {
+    if (await EvidenceHash.exists({})) return;
+
+    const matches = Match.find({
+        $or: [
+            { 'player1.evidence.hash': { $exists: true } },
+            { 'player2.evidence.hash': { $exists: true } }
+        ]
+    })
+        .select('player1.evidence player2.evidence')
+        .lean()
+        .cursor();
+
+    for await (const match of matches) {
+        const hashed = [...match.player1.evidence, ...match.player2.evidence].filter(e => e.hash);
+        await EvidenceHash.insertMany(hashed.map(entry => ({
+            hash: entry.hash,
+            bands: getHashBands(entry.hash),
+            match: match._id,
+            path: entry.path
+        })));
+    }
+};
+
+/**
+ * Results completed before matches tracked it were counted in the stats, and
+ * moved their tournaments on, when they were verified. Marks them so they are
+ * not counted or progressed again. Matches saved since store these fields,
+ * so only the older ones are touched.
+ */
+const markCountedResults = async () => {
+    await Match.updateMany(
+        { status: 'completed', 'result.statsRecorded': { $exists: false } },
+        { $set: { 'result.statsRecorded': true } }
+    );
+    await Match.updateMany(
+        { status: 'completed', 'result.progressed': { $exists: false } },
+        { $set: { 'result.progressed': true } }
+    );
+    await Match.updateMany(
+        { status: 'completed', 'result.confirmedBy': { $ne: null }, 'result.verifiedByAdmin': { $exists: false } },
+        { $set: { 'result.verifiedByAdmin': true } }
+    );
+};
+
+/**
+ * Knockout stages used to be drawn whenever a tournament had no knockout
+ * rounds yet. Marks the tournaments that already have one as drawn, so the
+ * claim on the stage finds them taken.
+ */
+const markDrawnKnockouts = async () => {
+    await Tournament.updateMany(
+        { knockoutGenerated: { $exists: false }, 'knockoutRounds.0': { $exists: true } },
+        { $set: { knockoutGenerated: true } }
+    );
+};
+
+module.exports = {
+    runMigrations
+};
@@ -78,6 +78,7 @@ class MpesaService {
             const payment = new Payment({
                 transactionId: reference,
                 user: reference.split('_')[1], // Extract user ID from reference
+                tournament: reference.split('_')[2], // ...and the tournament being entered
                 type: 'entry_fee',
                 amount: amount,
                 mpesaResponse: response.data,
@@ -102,6 +103,7 @@ class MpesaService {
             const payment = new Payment({
                 transactionId: reference,
                 user: reference.split('_')[1],
+                tournament: reference.split('_')[2],
                 type: 'entry_fee',
                 amount: amount,
                 status: 'failed',
@@ -150,11 +152,10 @@ class MpesaService {
                         PhoneNumber: metadata.PhoneNumber
                     });
 
-                    // Here you would typically update tournament registration, etc.
                     console.log(`Payment completed for user: ${payment.user}`);
                 }
 
-                return { success: true, message: 'Payment processed successfully' };
+                return { success: true, message: 'Payment processed successfully', payment };
             } else {
                 // Failed payment
                 const payment = await Payment.findOne({
@@ -0,0 +1,75 @@
+const Payment = require('../models/Payment');
+const User = require('../models/Users');
+const { formatPhoneNumber } = require('./helpers');
+
+/**
+ * Sets the prize for each of a tournament's placings from
+ * `settings.prizeDistribution`. Players sharing a position split the prizes
+ * of the places they cover (two players in 3rd share the 3rd and 4th prizes).
+ * @param {Object} tournament - Tournament document with `winners` filled in
+ */
+const assignPrizes = (tournament) => {
+    const prizeFor = (position) => {
+        const entry = (tournament.settings.prizeDistribution || []).find(p => p.position === position);
+        return entry ? entry.amount || 0 : 0;
+    };
+
+    const byPosition = new Map();
+    tournament.winners.forEach(winner => {
+        if (!byPosition.has(winner.position)) byPosition.set(winner.position, []);
+        byPosition.get(winner.position).push(winner);
+    });
+
+    byPosition.forEach((sharing, position) => {
+        let pool = 0;
+        for (let place = position; place < position + sharing.length; place++) {
+            pool += prizeFor(place);
+        }
+        sharing.forEach(winner => {
+            winner.prize = Math.floor(pool / sharing.length);
+        });
+    });
+};
+
+/**
+ * Queues a prize payout for every placing that won money. Payouts are keyed
+ * by tournament, position and player, so a place is never paid twice.
+ * @param {Object} tournament - Tournament document with prizes assigned
+ * @returns {Promise<Array>} The payout records created
+ */
+const queuePrizePayouts = async (tournament) => {
+    const payouts = [];
+
+    for (const winner of tournament.winners) {
+        if (!winner.prize || winner.prize <= 0) continue;
+
+        const playerId = winner.player._id || winner.player;
+        const transactionId = `PRIZE_${tournament._id}_${winner.position}_${playerId}`;
+        if (await Payment.exists({ transactionId })) continue;
+
+        const player = await User.findById(playerId);
+        if (!player) continue;
+
+        const payment = new Payment({
+            transactionId,
+            user: playerId,
+            tournament: tournament._id,
+            type: 'prize_payout',
+            amount: winner.prize,
+            status: 'pending', // Sent once an admin approves it
+            metadata: {
+                phoneNumber: formatPhoneNumber(player.whatsapp),
+                description: `Position ${winner.position} prize for ${tournament.name}`
+            }
+        });
+
+        payouts.push(await payment.save());
+    }
+
+    return payouts;
+};
+
+module.exports = {
+    assignPrizes,
+    queuePrizePayouts
+};
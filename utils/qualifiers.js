@@ -0,0 +1,60 @@
+// models/Tournament loads the fixture generator, which requires this module
+const getTournamentModel = () => require('../models/Tournament');
+
+/**
+ * Sends a finished qualifier's top finishers on to the tournament named in
+ * its `qualification` settings, as a participant slot or an entry fee waiver.
+ * Players sharing the last qualifying place all go through. Safe to run again:
+ * players already entered or waived are skipped.
+ * @param {Object} tournament - The completed qualifier with `winners` filled in
+ * @returns {Promise<Array>} Ids of the players newly qualified
+ */
+const applyQualification = async (tournament) => {
+    const { target: targetId, spots, reward } = tournament.qualification || {};
+    if (!targetId || !spots || targetId.toString() === tournament._id.toString()) return [];
+
+    const target = await getTournamentModel().findById(targetId);
+    if (!target) return [];
+
+    if (!['draft', 'upcoming'].includes(target.status)) {
+        console.error(`Qualification error: ${target.name} has already started`);
+        return [];
+    }
+
+    const qualified = [];
+    const qualifiers = tournament.winners.filter(w => w.position <= spots);
+
+    for (const { player } of qualifiers) {
+        const isEntered = target.participants.some(p => p.player.toString() === player.toString());
+        if (isEntered) continue;
+
+        if (reward === 'fee_waiver') {
+            if (target.hasFeeWaiver(player)) continue;
+            target.feeWaivers.push({ player, source: tournament._id });
+            qualified.push(player);
+            continue;
+        }
+
+        // Team qualifiers enter the target with the team they qualified with
+        const entry = tournament.participants.find(p => (p.player._id || p.player).toString() === player.toString());
+        const team = target.participantType === 'team' && entry ? entry.team : null;
+
+        try {
+            await target.addParticipant(player, team);
+            target.participants[target.participants.length - 1].qualifiedFrom = tournament._id;
+            qualified.push(player);
+        } catch (error) {
+            console.error(`Qualification error for player ${player}:`, error.message);
+        }
+    }
+
+    if (qualified.length > 0) {
+        await target.save();
+    }
+
+    return qualified;
+};
+
+module.exports = {
+    applyQualification
+};
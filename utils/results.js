@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+const Match = require('../models/Match');
+const Tournament = require('../models/Tournament');
+const { updateTournamentLeaderboard, getBracketOutcome, reviseBracketResult, processVerifiedMatch, generateKnockoutStage } = require('./fixtureGenerator');
+const { recordMatchStats, recalculateStats } = require('./stats');
+const { getId } = require('./helpers');
+const { RequestError } = require('./errors');
+
+// Knockout matches that have been played, or are being reported
+const STARTED_MATCH_QUERY = {
+    $or: [
+        { status: { $in: ['in_progress', 'disputed', 'completed'] } },
+        { 'player1.confirmed': true },
+        { 'player2.confirmed': true }
+    ]
+};
+
+/**
+ * Verifies a match result as a single idempotent operation. Confirming the
+ * result and counting it in every stat happen in one transaction, so a match
+ * verified again, or twice at once, changes nothing. Once the result is
+ * committed its tournament moves on; if that fails, verifying again retries it.
+ * @param {String} matchId - ID of the match
+ * @param {String} adminId - The admin verifying the result
+ * @returns {Promise<Object>} { match, changed }; match is null if it does not exist
+ */
+const verifyMatchResult = async (matchId, adminId) => {
+    let match = null;
+    let changed = false;
+
+    await runInTransaction(async (session) => {
+        // The callback reruns if the transaction is retried
+        changed = false;
+
+        match = await Match.findById(matchId).session(session);
+        if (!match) return;
+
+        if (match.status === 'cancelled') {
+            throw new RequestError('Cancelled matches cannot be verified');
+        }
+
+        if (match.status !== 'completed') {
+            match.result.verifiedByAdmin = true;
+            await match.verifyResult(adminId);
+            changed = true;
+        } else if (!match.result.verifiedByAdmin) {
+            // Decided by agreeing scores or a walkover: the admin signs it off
+            match.result.verifiedByAdmin = true;
+            match.result.confirmedBy = adminId;
+            match.clearReviewFlags(adminId);
+            await match.save();
+            changed = true;
+        }
+
+        if (await recordMatchStats(match, session)) {
+            changed = true;
+        }
+    });
+
+    if (match) {
+        match.$session(null);
+    }
+
+    if (match && !match.result.progressed) {
+        await processVerifiedMatch(match);
+    }
+
+    return { match, changed };
+};
+
+/**
+ * Changes the score of a verified match, then recomputes everything derived
+ * from it: the tournament table, knockout matches that followed from the old
+ * result or an unplayed knockout stage drawn from the group tables, and the
+ * stats of everyone involved. A finished tournament or a
+ * ladder only takes corrections that keep the same winner, since prizes,
+ * season points and ladder positions have already moved on.
+ * @param {Object} match - The verified match document
+ * @param {String} adminId - The admin correcting the result
+ * @param {Object} changes - { player1Score, player2Score, player1Penalties, player2Penalties, reason }
+ * @returns {Promise<Object>} The match
+ */
+const correctMatchResult = async (match, adminId, changes = {}) => {
+    const preview = new Match(match.toObject());
+    preview.setFinalScore(changes);
+    const side = preview.getWinningSide();
+    const winnerChanges = String(side ? getId(preview[side].user) : null) !== String(getId(match.result.winner)) ||
+        !side !== Boolean(match.result.isDraw);
+
+    return reviseMatchResult(match, winnerChanges, () => match.correctResult(adminId, changes));
+};
+
+/**
+ * Voids a verified match so it no longer counts, then recomputes everything
+ * derived from it. Knockout matches must produce a winner, so they can only
+ * be corrected.
+ * @param {Object} match - The verified match document
+ * @param {String} adminId - The admin voiding the result
+ * @param {String} reason - Why the result was voided
+ * @returns {Promise<Object>} The match
+ */
+const voidMatchResult = async (match, adminId, reason) => {
+    if (match.bracket) {
+        throw new RequestError('Knockout matches need a winner - correct the score instead');
+    }
+
+    return reviseMatchResult(match, true, () => match.voidResult(adminId, reason));
+};
+
+/**
+ * Applies a change to a verified result and recomputes what depends on it
+ */
+const reviseMatchResult = async (match, winnerChanges, revise) => {
+    if (match.status !== 'completed') {
+        throw new RequestError('Only verified results can be changed');
+    }
+
+    const tournament = await Tournament.findById(match.tournament).select('format status knockoutRounds');
+    if (!tournament) {
+        throw new RequestError('Tournament not found', 404);
+    }
+
+    if (winnerChanges && tournament.format === 'ladder') {
+        throw new RequestError('Ladder positions have already moved on this result - only its score can be corrected');
+    }
+
+    if (winnerChanges && tournament.status === 'completed') {
+        throw new RequestError('The tournament has finished - only the score of a result can be corrected, not its winner');
+    }
+
+    // The group tables seed the knockout stage. Until it is played it is drawn
+    // again from the corrected tables; after that a group result keeps its winner.
+    const knockoutIds = match.group ? tournament.knockoutRounds.flatMap(round => round.matches) : [];
+    const knockoutStarted = knockoutIds.length > 0 &&
+        Boolean(await Match.exists({ _id: { $in: knockoutIds }, ...STARTED_MATCH_QUERY }));
+
+    if (winnerChanges && knockoutStarted) {
+        throw new RequestError('The knockout stage has started - only the score of a group result can be corrected, not its winner');
+    }
+
+    const previous = match.bracket ? await getBracketOutcome(match) : null;
+
+    await revise();
+
+    const wiped = match.bracket ? await reviseBracketResult(match, previous) : [];
+
+    const redrawKnockout = knockoutIds.length > 0 && !knockoutStarted;
+    if (redrawKnockout) {
+        await Match.deleteMany({ _id: { $in: knockoutIds } });
+        await Tournament.updateOne({ _id: tournament._id }, { $set: { knockoutRounds: [], knockoutGenerated: false } });
+    }
+
+    await updateTournamentLeaderboard(tournament._id);
+
+    if (redrawKnockout) {
+        await generateKnockoutStage(tournament._id);
+    }
+    await recalculateStats([
+        match.player1.user,
+        match.player2.user,
+        ...wiped.flatMap(m => [m.player1, m.player2])
+    ]);
+
+    return match;
+};
+/**
+ * Runs `work` in a transaction. A standalone MongoDB server (like the default
+ * mongodb://localhost) does not support transactions; there the work runs
+ * without one, and the atomic claims on the match keep it from being counted
+ * twice.
+ * @param {Function} work - Called with the session, or null without a transaction
+ */
+const runInTransaction = async (work) => {
+    const session = await mongoose.startSession();
+    try {
+        await session.withTransaction(() => work(session));
+    } catch (error) {
+        if (!isTransactionUnsupported(error)) throw error;
+        await work(null);
+    } finally {
+        await session.endSession();
+    }
+};
+
+// Error a server without replica set support gives for a transaction
+const isTransactionUnsupported = (error) =>
+    error.code === 20 || /Transaction numbers are only allowed on a replica set member or mongos/.test(error.message);
+
+module.exports = {
+    verifyMatchResult,
+    correctMatchResult,
+    voidMatchResult
+};
@@ -0,0 +1,139 @@
+const sharp = require('sharp');
+const EvidenceHash = require('../models/EvidenceHash');
+
+// Difference hash size: each row of HASH_SIZE + 1 grey pixels gives HASH_SIZE bits
+const HASH_SIZE = 16;
+
+// Hashes at most this many bits apart are treated as the same image. Score
+// screens share a layout, so this stays tight; a match flagged by mistake
+// only costs an admin review.
+const SIMILAR_HASH_DISTANCE = 12;
+
+// Hashes are split into one more band than the bits they may differ by, so
+// two similar hashes always have a band in common
+const HASH_BANDS = SIMILAR_HASH_DISTANCE + 1;
+
+/**
+ * Computes a perceptual (difference) hash of an image. Re-saved, resized or
+ * recompressed copies of a screenshot hash to nearly the same value.
+ * @param {String} filePath - Path of the uploaded image
+ * @returns {Promise<String>} The hash, as hex
+ */
+const computeImageHash = async (filePath) => {
+    const pixels = await sharp(filePath)
+        .greyscale()
+        .resize(HASH_SIZE + 1, HASH_SIZE, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+    let bits = '';
+    for (let row = 0; row < HASH_SIZE; row++) {
+        for (let col = 0; col < HASH_SIZE; col++) {
+            const index = row * (HASH_SIZE + 1) + col;
+            bits += pixels[index] < pixels[index + 1] ? '1' : '0';
+        }
+    }
+
+    return BigInt(`0b${bits}`).toString(16).padStart(HASH_SIZE * HASH_SIZE / 4, '0');
+};
+
+/**
+ * Number of bits two hashes differ by
+ */
+const getHashDistance = (a, b) => {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let distance = 0;
+    while (diff) {
+        distance += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return distance;
+};
+
+/**
+ * Bands of a hash, as stored on EvidenceHash entries
+ */
+const getHashBands = (hash) => {
+    const length = Math.ceil(hash.length / HASH_BANDS);
+    const bands = [];
+    for (let i = 0; i * length < hash.length; i++) {
+        bands.push(`${i}:${hash.slice(i * length, (i + 1) * length)}`);
+    }
+    return bands;
+};
+
+/**
+ * Hashes a submission's evidence images and flags any that closely match an
+ * image already submitted for another match. Flags are added to the match
+ * (unsaved), which keeps it from being verified automatically.
+ * @param {Object} match - The match the images are submitted for
+ * @param {String} side - The submitting side
+ * @param {Array} evidence - The new evidence entries; each gets its `hash`
+ * @returns {Promise<Array>} The flags raised
+ */
+const flagRecycledEvidence = async (match, side, evidence) => {
+    for (const entry of evidence) {
+        try {
+            entry.hash = await computeImageHash(entry.path);
+        } catch (error) {
+            console.error(`Screenshot hash error for ${entry.path}:`, error.message);
+        }
+    }
+
+    const hashed = evidence.filter(entry => entry.hash);
+    if (hashed.length === 0) return [];
+
+    // Only images sharing a band with a new one can be close enough to match it
+    const earlier = await EvidenceHash.find({
+        match: { $ne: match._id },
+        bands: { $in: hashed.flatMap(entry => getHashBands(entry.hash)) }
+    }).lean();
+
+    const flags = [];
+    hashed.forEach(entry => {
+        const copy = earlier
+            .map(other => ({ other, distance: getHashDistance(entry.hash, other.hash) }))
+            .filter(({ distance }) => distance <= SIMILAR_HASH_DISTANCE)
+            .sort((a, b) => a.distance - b.distance)[0];
+
+        if (copy) {
+            flags.push({
+                reason: 'recycled_screenshot',
+                side,
+                evidence: entry.path,
+                matchedMatch: copy.other.match,
+                matchedEvidence: copy.other.path,
+                distance: copy.distance
+            });
+        }
+    });
+
+    match.reviewFlags.push(...flags);
+    return flags;
+};
+
+/**
+ * Stores the hashes of a match's newly saved evidence, so later submissions
+ * can be checked against them
+ * @param {Object} match - The match the images belong to
+ * @param {Array} evidence - Evidence entries hashed by flagRecycledEvidence
+ */
+const recordEvidenceHashes = async (match, evidence) => {
+    const hashed = evidence.filter(entry => entry.hash);
+    if (hashed.length === 0) return;
+
+    await EvidenceHash.insertMany(hashed.map(entry => ({
+        hash: entry.hash,
+        bands: getHashBands(entry.hash),
+        match: match._id,
+        path: entry.path
+    })));
+};
+
+module.exports = {
+    computeImageHash,
+    getHashDistance,
+    getHashBands,
+    flagRecycledEvidence,
+    recordEvidenceHashes
+};
@@ -0,0 +1,83 @@
+const Season = require('../models/Season');
+const Leaderboard = require('../models/Leaderboard');
+const { getId } = require('./helpers');
+
+// Season standings are leaderboard entries of type 'season', one set per season
+const getSeasonQuery = (season) => ({ type: 'season', period: getId(season).toString() });
+
+/**
+ * Awards circuit points for a completed tournament's final placings to the
+ * season it belongs to, then rebuilds the season standings. Running it again
+ * for the same tournament replaces its earlier awards.
+ * @param {Object} tournament - The completed tournament with `winners` filled in
+ * @returns {Promise<Object|null>} The updated season, or null if it has none
+ */
+const awardSeasonPoints = async (tournament) => {
+    if (!tournament.season) return null;
+
+    const season = await Season.findById(tournament.season);
+    if (!season) return null;
+
+    season.results = season.results.filter(r => r.tournament.toString() !== tournament._id.toString());
+    tournament.winners.forEach(({ player, position }) => {
+        season.results.push({
+            tournament: tournament._id,
+            player: player._id || player,
+            position,
+            points: season.getPointsFor(position)
+        });
+    });
+
+    if (!season.tournaments.some(t => t.toString() === tournament._id.toString())) {
+        season.tournaments.push(tournament._id);
+    }
+
+    await season.save();
+    await updateSeasonStandings(season);
+    return season;
+};
+
+/**
+ * Rebuilds a season's standings from the points awarded so far. Each event counts as a match played, and winning it
+ * as a win.
+ * @param {Object} season - The season document
+ */
+const updateSeasonStandings = async (season) => {
+    const totals = new Map();
+    season.results.forEach(({ player, position, points }) => {
+        const key = player.toString();
+        const total = totals.get(key) || { player, points: 0, events: 0, wins: 0 };
+        total.points += points;
+        total.events += 1;
+        if (position === 1) total.wins += 1;
+        totals.set(key, total);
+    });
+
+    const query = getSeasonQuery(season);
+    const entries = await Leaderboard.find(query);
+    const byPlayer = new Map(entries.map(entry => [entry.player.toString(), entry]));
+
+    for (const [key, total] of totals) {
+        // New players join at the bottom; updateRanks moves them into place
+        const entry = byPlayer.get(key) || new Leaderboard({
+            ...query,
+            player: total.player,
+            rank: await Leaderboard.countDocuments(query) + 1
+        });
+        entry.points = total.points;
+        entry.totalMatches = total.events;
+        entry.wins = total.wins;
+        entry.losses = total.events - total.wins;
+        await entry.save();
+    }
+
+    // Players whose only result was removed drop out of the standings
+    await Leaderboard.deleteMany({ ...query, player: { $nin: [...totals.values()].map(t => t.player) } });
+    await Leaderboard.updateRanks(query.type, query.period);
+};
+
+module.exports = {
+    getSeasonQuery,
+    awardSeasonPoints,
+    updateSeasonStandings
+};
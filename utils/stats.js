@@ -0,0 +1,200 @@
+const Match = require('../models/Match');
+const Team = require('../models/Team');
+const User = require('../models/Users');
+const Leaderboard = require('../models/Leaderboard');
+const { recordTeamResult } = require('./teams');
+const { getId, sameId } = require('./helpers');
+
+// models/Tournament loads the fixture generator, which requires this module
+const getTournamentModel = () => require('../models/Tournament');
+
+// Points a result is worth in player, team and global leaderboard stats
+const RESULT_POINTS = { win: 3, draw: 1, loss: 0 };
+
+/**
+ * Counts a completed match in its players' stats and the global leaderboard
+ * and, in team tournaments, in the teams and their members. This is the only
+ * place results are added to those stats. The match is claimed with an atomic
+ * update first, so however often (or concurrently) it is called, a match is
+ * counted once.
+ * @param {Object} match - The completed match document
+ * @param {Object} session - Transaction the updates belong to, if any
+ * @returns {Promise<Boolean>} Whether the match was counted by this call
+ */
+const recordMatchStats = async (match, session = null) => {
+    if (match.status !== 'completed' || match.result.statsRecorded) return false;
+
+    const claim = await Match.updateOne(
+        { _id: match._id, status: 'completed', 'result.statsRecorded': { $ne: true } },
+        { $set: { 'result.statsRecorded': true } },
+        { session }
+    );
+    match.result.statsRecorded = true;
+    if (claim.modifiedCount === 0) return false;
+
+    for (const side of ['player1', 'player2']) {
+        const playerId = getId(match[side].user);
+        if (!playerId) continue;
+
+        const result = getResultFor(match, playerId);
+        const user = await User.findById(playerId).session(session);
+        if (user) await user.updateStats(result);
+        await Leaderboard.updatePlayerStats(playerId, result, 'global', 'global', session);
+    }
+
+    await recordTeamResult(match, session);
+    return true;
+};
+
+/**
+ * Recomputes from their completed matches the stats of the given players, of
+ * the teams they play for and of those teams' members: `User.stats`, the
+ * global leaderboard and `Team.stats`
+ * @param {Array} players - IDs of the players whose results changed
+ */
+const recalculateStats = async (players) => {
+    const playerIds = players.filter(Boolean).map(getId);
+    const teams = await Team.find({ 'members.user': { $in: playerIds } });
+
+    const userIds = new Map(playerIds.map(id => [id.toString(), id]));
+    teams.forEach(team => team.members.forEach(m => userIds.set(m.user.toString(), m.user)));
+
+    const entries = await getTeamEntries(teams);
+
+    for (const userId of userIds.values()) {
+        const rosterEntries = entries.filter(entry =>
+            !sameId(entry.player, userId) &&
+            teams.some(team => sameId(team._id, entry.team) && team.isMember(userId))
+        );
+        await recalculatePlayerStats(userId, rosterEntries);
+    }
+
+    for (const team of teams) {
+        await recalculateTeamStats(team, entries.filter(entry => sameId(entry.team, team._id)));
+    }
+
+    await Leaderboard.updateRanks('global', 'global');
+};
+
+/**
+ * Recomputes a player's `User.stats` (their own matches, plus those their
+ * teams played while someone else was named on the match) and their global
+ * leaderboard entry (their own matches only)
+ */
+const recalculatePlayerStats = async (userId, rosterEntries) => {
+    const matches = await Match.find({
+        status: 'completed',
+        $or: [
+            { 'player1.user': userId },
+            { 'player2.user': userId },
+            ...rosterEntries.map(entry => ({
+                tournament: entry.tournament,
+                $or: [{ 'player1.user': entry.player }, { 'player2.user': entry.player }]
+            }))
+        ]
+    }).select('tournament player1.user player2.user result');
+
+    const own = emptyTotals();
+    const all = emptyTotals();
+    matches.forEach(match => {
+        const named = sameId(match.player1.user, userId) || sameId(match.player2.user, userId);
+        const entry = !named && rosterEntries.find(e => sameId(e.tournament, match.tournament));
+        const result = getResultFor(match, named ? userId : entry.player);
+
+        addResult(all, result);
+        if (named) addResult(own, result);
+    });
+
+    await User.updateOne({ _id: userId }, {
+        $set: {
+            'stats.matchesPlayed': all.matchesPlayed,
+            'stats.wins': all.wins,
+            'stats.draws': all.draws,
+            'stats.losses': all.losses,
+            'stats.points': all.points,
+            'stats.winRate': all.matchesPlayed > 0 ? (all.wins / all.matchesPlayed) * 100 : 0
+        }
+    });
+
+    const entry = await Leaderboard.findOne({ player: userId, type: 'global', period: 'global' });
+    if (!entry && own.matchesPlayed === 0) return;
+
+    // New entries start at the bottom; the ranks are redone once every player is recalculated
+    const leaderboard = entry || new Leaderboard({
+        player: userId,
+        type: 'global',
+        period: 'global',
+        rank: await Leaderboard.countDocuments({ type: 'global', period: 'global' }) + 1
+    });
+    leaderboard.totalMatches = own.matchesPlayed;
+    leaderboard.wins = own.wins;
+    leaderboard.draws = own.draws;
+    leaderboard.losses = own.losses;
+    leaderboard.points = own.points;
+    leaderboard.winRate = 0; // Recalculated on save once there are matches
+    await leaderboard.save();
+};
+
+/**
+ * Recomputes a team's stats from the matches it played in team tournaments
+ */
+const recalculateTeamStats = async (team, teamEntries) => {
+    const totals = { ...emptyTotals(), goalsFor: 0, goalsAgainst: 0 };
+
+    for (const entry of teamEntries) {
+        const matches = await Match.find({
+            tournament: entry.tournament,
+            status: 'completed',
+            $or: [{ 'player1.user': entry.player }, { 'player2.user': entry.player }]
+        }).select('player1 player2 result');
+
+        matches.forEach(match => {
+            const side = sameId(match.player1.user, entry.player) ? 'player1' : 'player2';
+            const opponent = side === 'player1' ? 'player2' : 'player1';
+            addResult(totals, getResultFor(match, entry.player));
+            totals.goalsFor += match[side].score || 0;
+            totals.goalsAgainst += match[opponent].score || 0;
+        });
+    }
+
+    team.stats = totals;
+    await team.save();
+};
+
+/**
+ * Where the given teams were entered in team tournaments: { tournament, player, team }
+ */
+const getTeamEntries = async (teams) => {
+    if (teams.length === 0) return [];
+
+    const tournaments = await getTournamentModel().find({
+        participantType: 'team',
+        'participants.team': { $in: teams.map(team => team._id) }
+    }).select('participants');
+
+    return tournaments.flatMap(tournament => tournament.participants
+        .filter(p => p.team && teams.some(team => sameId(team._id, p.team)))
+        .map(p => ({ tournament: tournament._id, player: p.player, team: p.team }))
+    );
+};
+
+/**
+ * A completed match's result for one of its players; a double forfeit is a loss for both
+ */
+const getResultFor = (match, player) => {
+    if (match.result.isDraw) return 'draw';
+    return sameId(match.result.winner, player) ? 'win' : 'loss';
+};
+
+const emptyTotals = () => ({ matchesPlayed: 0, wins: 0, draws: 0, losses: 0, points: 0 });
+
+const addResult = (totals, result) => {
+    totals.matchesPlayed++;
+    totals[{ win: 'wins', draw: 'draws', loss: 'losses' }[result]]++;
+    totals.points += RESULT_POINTS[result];
+};
+
+module.exports = {
+    recordMatchStats,
+    recalculateStats
+};
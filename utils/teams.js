@@ -0,0 +1,88 @@
+const Team = require('../models/Team');
+const User = require('../models/Users');
+const { getId, sameId } = require('./helpers');
+
+// models/Tournament loads the fixture generator, which requires this module
+const getTournamentModel = () => require('../models/Tournament');
+
+/**
+ * Teams playing a match of a team tournament. Each side of the match is the
+ * player who entered the team, so the team comes from their participant entry.
+ * @param {Object} match - The match document
+ * @param {Object} session - Transaction to read the teams in, if any
+ * @returns {Promise<Object|null>} { player1, player2 } team documents, or null
+ * outside team tournaments
+ */
+const getMatchTeams = async (match, session = null) => {
+    const tournament = await getTournamentModel().findById(getId(match.tournament))
+        .select('participantType participants');
+    if (!tournament || tournament.participantType !== 'team') return null;
+
+    const teamFor = (side) => {
+        const participant = tournament.participants.find(p => sameId(p.player, match[side].user));
+        return participant && participant.team ? Team.findById(participant.team).session(session) : null;
+    };
+
+    const [player1, player2] = await Promise.all([teamFor('player1'), teamFor('player2')]);
+    return { player1, player2 };
+};
+
+/**
+ * Which side of a match a user plays for: their own, or in a team tournament
+ * the side of any team they are rostered on
+ * @param {Object} match - The match document
+ * @param {String} userId - The user submitting for the match
+ * @returns {Promise<String|null>} 'player1', 'player2' or null
+ */
+const getMatchSide = async (match, userId) => {
+    if (sameId(match.player1.user, userId)) return 'player1';
+    if (sameId(match.player2.user, userId)) return 'player2';
+
+    const teams = await getMatchTeams(match);
+    if (!teams) return null;
+
+    if (teams.player1 && teams.player1.isMember(userId)) return 'player1';
+    if (teams.player2 && teams.player2.isMember(userId)) return 'player2';
+    return null;
+};
+
+/**
+ * Rolls a verified team match up into the stats of both teams and of their
+ * rostered members. The players named on the match are left out, as their
+ * result is recorded like any other player's.
+ * @param {Object} match - The verified match document
+ * @param {Object} session - Transaction the updates belong to, if any
+ */
+const recordTeamResult = async (match, session = null) => {
+    if (match.status !== 'completed' || !match.result) return;
+
+    const teams = await getMatchTeams(match, session);
+    if (!teams) return;
+
+    for (const [side, opponent] of [['player1', 'player2'], ['player2', 'player1']]) {
+        const team = teams[side];
+        if (!team) continue;
+
+        let result = 'loss';
+        if (match.result.isDraw) {
+            result = 'draw';
+        } else if (sameId(match.result.winner, match[side].user)) {
+            result = 'win';
+        }
+
+        await team.updateStats(result, match[side].score || 0, match[opponent].score || 0);
+
+        const members = await User.find({
+            _id: { $in: team.members.map(m => m.user), $ne: getId(match[side].user) }
+        }).session(session);
+        for (const member of members) {
+            await member.updateStats(result);
+        }
+    }
+};
+
+module.exports = {
+    getMatchTeams,
+    getMatchSide,
+    recordTeamResult
+};
@@ -0,0 +1,183 @@
+const Match = require('../models/Match');
+const User = require('../models/Users');
+const Payment = require('../models/Payment');
+const mpesaService = require('./mpesa');
+const { formatPhoneNumber } = require('./helpers');
+
+// models/Tournament loads this module, so it is required when needed
+const getTournamentModel = () => require('../models/Tournament');
+
+// Fixtures a replacement can still take over from the player they replace
+const OPEN_FIXTURE_STATUSES = ['pending', 'scheduled'];
+
+/**
+ * Fills free places from the front of a tournament's waitlist. Free entries
+ * (no fee, or a waived one) go straight in. In paid tournaments the place is
+ * offered instead: the player gets an M-Pesa STK push for the entry fee and
+ * `settings.waitlistPaymentMinutes` to pay before the offer lapses and passes
+ * down the line. Once check-in has closed only checked-in players move up.
+ * @param {Object} tournament - The tournament document
+ * @param {Array} vacatedBy - Players whose places are being filled, in order;
+ * their replacements take over their unplayed fixtures
+ * @returns {Promise<Object>} The saved tournament
+ */
+const promoteFromWaitlist = async (tournament, vacatedBy = []) => {
+    const now = new Date();
+    const vacated = [...vacatedBy];
+
+    const lapsed = tournament.waitlist.filter(w => w.offerExpiresAt && w.offerExpiresAt <= now);
+    lapsed.forEach(entry => {
+        if (entry.replaces) vacated.push(entry.replaces);
+        tournament.waitlist.pull(entry._id);
+    });
+
+    const heldPlaces = tournament.waitlist.filter(w => w.offerExpiresAt).length;
+    const freePlaces = tournament.settings.capacity - tournament.participantCount - heldPlaces;
+    const afterCheckIn = tournament.checkInStatus === 'closed';
+    const promoted = tournament.waitlist
+        .filter(w => !w.offerExpiresAt && (!afterCheckIn || w.checkedInAt))
+        .slice(0, Math.max(0, freePlaces));
+
+    for (const entry of promoted) {
+        entry.replaces = vacated.shift();
+
+        if (tournament.settings.entryFee <= 0 || tournament.hasFeeWaiver(entry.player) || entry.paidEntry) {
+            await enterFromWaitlist(tournament, entry);
+        } else {
+            await offerWaitlistPlace(tournament, entry);
+        }
+    }
+
+    return tournament.save();
+};
+
+/**
+ * Moves a waitlisted player into the field (the caller saves the tournament)
+ */
+const enterFromWaitlist = async (tournament, entry) => {
+    tournament.participants.push({
+        player: entry.player,
+        team: entry.team || undefined,
+        status: entry.checkedInAt ? 'checked-in' : 'registered',
+        checkedInAt: entry.checkedInAt
+    });
+    tournament.waitlist.pull(entry._id);
+
+    // The fee paid while the tournament was full now pays for this place
+    if (entry.paidEntry) {
+        await Payment.updateOne({ _id: entry.paidEntry }, { refundDue: false });
+    }
+
+    if (entry.replaces) {
+        await takeOverFixtures(tournament, entry.replaces, entry.player);
+    }
+};
+
+/**
+ * Holds a place for a waitlisted player and asks them to pay for it. A failed
+ * STK push still leaves the place held: the player can pay through
+ * /api/payments/initiate until the offer lapses.
+ */
+const offerWaitlistPlace = async (tournament, entry) => {
+    entry.offeredAt = new Date();
+    entry.offerExpiresAt = new Date(Date.now() + tournament.settings.waitlistPaymentMinutes * 60 * 1000);
+
+    const player = await User.findById(entry.player).select('whatsapp');
+    if (!player) return;
+
+    const result = await mpesaService.initiateSTKPush(
+        formatPhoneNumber(player.whatsapp),
+        tournament.settings.entryFee,
+        `TKFEE_${entry.player}_${tournament._id}_${Date.now()}`,
+        `Tournament Entry: ${tournament.name}`
+    );
+
+    if (!result.success) {
+        console.error(`Waitlist offer error for player ${entry.player}:`, result.error);
+    }
+};
+
+/**
+ * Hands a departed player's unplayed fixtures and group place to their replacement
+ */
+const takeOverFixtures = async (tournament, from, to) => {
+    for (const side of ['player1', 'player2']) {
+        await Match.updateMany(
+            { tournament: tournament._id, status: { $in: OPEN_FIXTURE_STATUSES }, [`${side}.user`]: from },
+            { [`${side}.user`]: to }
+        );
+    }
+
+    tournament.groups.forEach(group => {
+        group.players = group.players.map(player => (player.toString() === from.toString() ? to : player));
+    });
+};
+
+/**
+ * Registers the player behind a completed entry fee payment, taking up the
+ * place held for them if they were offered one from the waitlist. If the last
+ * place went while they were paying, they join the waitlist with the fee
+ * already paid, and the payment is flagged for a refund until a place comes up.
+ * @param {Object} payment - The completed payment
+ * @returns {Promise<Object|null>} The tournament, or null if the payment is not an entry fee
+ */
+const registerPaidEntry = async (payment) => {
+    if (payment.type !== 'entry_fee' || !payment.tournament) return null;
+
+    const tournament = await getTournamentModel().findById(payment.tournament);
+    if (!tournament) return null;
+
+    const isRegistered = tournament.participants.some(p => p.player.toString() === payment.user.toString());
+    if (isRegistered) return tournament;
+
+    const offer = tournament.waitlist.find(w => w.offerExpiresAt && w.player.toString() === payment.user.toString());
+    if (!offer && tournament.hasOpenPlace()) {
+        return tournament.addParticipant(payment.user);
+    }
+
+    if (!offer) {
+        const entry = tournament.waitlist.find(w => w.player.toString() === payment.user.toString());
+        if (entry) {
+            entry.paidEntry = payment._id;
+        } else {
+            tournament.waitlist.push({ player: payment.user, paidEntry: payment._id });
+        }
+
+        payment.refundDue = true;
+        payment.metadata.notes = 'Tournament was full when the payment completed - player waitlisted';
+        await payment.save();
+        return tournament.save();
+    }
+
+    await enterFromWaitlist(tournament, offer);
+    await tournament.save();
+    return tournament.drawCheckedInFixtures();
+};
+
+/**
+ * Passes on every waitlist offer that lapsed unpaid, drawing the fixtures of
+ * tournaments that were only waiting on those offers
+ * @returns {Promise<Number>} Number of tournaments updated
+ */
+const expireWaitlistOffers = async () => {
+    const tournaments = await getTournamentModel().find({
+        'waitlist.offerExpiresAt': { $lte: new Date() }
+    });
+
+    for (const tournament of tournaments) {
+        try {
+            await promoteFromWaitlist(tournament);
+            await tournament.drawCheckedInFixtures();
+        } catch (error) {
+            console.error(`Waitlist error for tournament ${tournament._id}:`, error.message);
+        }
+    }
+
+    return tournaments.length;
+};
+
+module.exports = {
+    promoteFromWaitlist,
+    registerPaidEntry,
+    expireWaitlistOffers
+};